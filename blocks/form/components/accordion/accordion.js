@@ -1,5 +1,16 @@
+// accordion:toggle on each tab whose collapsed state changed
+function dispatchToggleEvents(accordionTabs, wasCollapsed) {
+  accordionTabs.forEach((tab, i) => {
+    const collapsed = tab.classList.contains('accordion-collapse');
+    if (collapsed !== wasCollapsed[i]) {
+      tab.dispatchEvent(new CustomEvent('accordion:toggle', { detail: { expanded: !collapsed }, bubbles: true }));
+    }
+  });
+}
+
 export function handleAccordionNavigation(panel, tab, forceOpen = false) {
-  const accordionTabs = panel?.querySelectorAll(':scope > fieldset');
+  const accordionTabs = [...panel.querySelectorAll(':scope > fieldset')];
+  const wasCollapsed = accordionTabs.map((otherTab) => otherTab.classList.contains('accordion-collapse'));
   accordionTabs.forEach((otherTab) => {
     if (otherTab !== tab) {
       otherTab.classList.add('accordion-collapse');
@@ -10,6 +21,7 @@ export function handleAccordionNavigation(panel, tab, forceOpen = false) {
   } else {
     tab.classList.toggle('accordion-collapse');
   }
+  dispatchToggleEvents(accordionTabs, wasCollapsed);
 }
 
 export default function decorate(panel) {
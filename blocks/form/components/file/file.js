@@ -70,6 +70,8 @@ function checkAccept(acceptedMediaTypes, files) {
  * triggers file Validation for the given input element and updates the error message
  * @param {HTMLInputElement} input
  * @param {FileList} files
+ * @returns {string|null} the constraint the files violate (accept, maxFileSize, maxItems,
+ * minItems) or null
  */
 function fileValidation(input, files) {
   const multiple = input.hasAttribute('multiple');
@@ -104,6 +106,7 @@ function fileValidation(input, files) {
     input.setCustomValidity('');
     updateOrCreateInvalidMsg(input, '');
   }
+  return constraint || null;
 }
 
 function formatBytes(bytes) {
@@ -120,6 +123,17 @@ function updateButtonIndex(elements = []) {
   });
 }
 
+/**
+ * dispatches file:attach or file:remove on the input
+ * @param {HTMLInputElement} input
+ * @param {string} name attach or remove
+ * @param {Object} detail the files attached or removed, the total count and the
+ * violated constraint
+ */
+function dispatchFileEvent(input, name, detail) {
+  input.dispatchEvent(new CustomEvent(`file:${name}`, { detail, bubbles: true }));
+}
+
 function dispatchChangeEvent(input, files) {
   if (!files.length) {
     input.value = null;
@@ -171,15 +185,21 @@ function createDragAndDropArea(wrapper, field) {
 function createFileHandler(allFiles, input) {
   return {
     removeFile: (index) => {
-      allFiles.splice(index, 1);
+      const removed = allFiles.splice(index, 1);
       const fileListElement = input.closest('.field-wrapper').querySelector('.files-list');
       fileListElement.querySelector(`[data-index="${index}"]`).remove();
-      fileValidation(input, allFiles);
+      const constraint = fileValidation(input, allFiles);
       updateButtonIndex(Array.from(fileListElement.children));
       dispatchChangeEvent(input, allFiles);
+      dispatchFileEvent(input, 'remove', { files: removed, fileCount: allFiles.length, constraint });
     },
 
-    attachFiles: (inputEl, files) => {
+    /**
+     * @param {HTMLInputElement} inputEl
+     * @param {FileList|File[]} files
+     * @param {string} source how the files were chosen: picker, drop, paste or prefill
+     */
+    attachFiles: (inputEl, files, source) => {
       const multiple = inputEl.hasAttribute('multiple');
       let newFiles = Array.from(files);
       if (!multiple) {
@@ -196,8 +216,11 @@ function createFileHandler(allFiles, input) {
       } else {
         fileListElement.replaceChildren(...newFileElements);
       }
-      fileValidation(inputEl, allFiles);
+      const constraint = fileValidation(inputEl, allFiles);
       dispatchChangeEvent(input, allFiles);
+      dispatchFileEvent(input, 'attach', {
+        source, files: newFiles, fileCount: allFiles.length, constraint,
+      });
     },
 
     previewFile: (index) => {
@@ -232,17 +255,17 @@ export default async function decorate(fieldDiv, field, htmlForm) {
   input.addEventListener('change', (event) => {
     if (!event?.detail?.deletion) {
       event.stopPropagation();
-      fileHandler.attachFiles(input, event.target.files);
+      fileHandler.attachFiles(input, event.target.files, 'picker');
     }
   });
   dragArea.addEventListener('drop', (event) => {
     event.preventDefault();
     dragArea.classList.remove('file-dragArea-active');
-    fileHandler.attachFiles(input, (event?.dataTransfer?.files || []));
+    fileHandler.attachFiles(input, (event?.dataTransfer?.files || []), 'drop');
   });
   dragArea.addEventListener('paste', (event) => {
     event.preventDefault();
-    fileHandler.attachFiles(input, (event?.clipboardData?.files || []));
+    fileHandler.attachFiles(input, (event?.clipboardData?.files || []), 'paste');
   });
   dragArea.addEventListener('dragover', (event) => {
     event.preventDefault();
@@ -267,7 +290,7 @@ export default async function decorate(fieldDiv, field, htmlForm) {
     dataTransfer.items.add(file);
     // Pre-fill input field to mark it as a valid field.
     input.files = dataTransfer.files;
-    fileHandler.attachFiles(input, preFillFiles);
+    fileHandler.attachFiles(input, preFillFiles, 'prefill');
   }
   return fieldDiv;
 }
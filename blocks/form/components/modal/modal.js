@@ -8,6 +8,11 @@ export class Modal {
     this.panel = null;
     this.modalWrapper = null;
     this.originalContent = null; // Store original content
+    this.dismissMethod = null; // how the open dialog is being closed
+  }
+
+  dispatchModalEvent(name, detail = {}) {
+    this.panel.dispatchEvent(new CustomEvent(`modal:${name}`, { detail, bubbles: true }));
   }
 
   createDialog(panel) {
@@ -36,12 +41,17 @@ export class Modal {
       const dialogDimensions = dialog.getBoundingClientRect();
       if (event.clientX < dialogDimensions.left || event.clientX > dialogDimensions.right
         || event.clientY < dialogDimensions.top || event.clientY > dialogDimensions.bottom) {
+        this.dismissMethod = 'backdrop';
         dialog.close();
       }
     });
     dialog.querySelector('.close-button').addEventListener('click', () => {
+      this.dismissMethod = 'close-button';
       dialog.close();
     });
+    dialog.addEventListener('cancel', () => {
+      this.dismissMethod = 'escape';
+    });
     dialog.addEventListener('close', () => {
       document.body.classList.remove('modal-open');
       // Move the content back to the panel when dialog closes
@@ -54,6 +64,8 @@ export class Modal {
       if (this.fieldModel) {
         this.fieldModel.visible = false;
       }
+      this.dispatchModalEvent('close', { method: this.dismissMethod || 'programmatic' });
+      this.dismissMethod = null;
     });
     return dialog;
   }
@@ -70,6 +82,7 @@ export class Modal {
     if (this.dialog.isConnected) {
       this.dialog.showModal();
       document.body.classList.add('modal-open');
+      this.dispatchModalEvent('open');
       setTimeout(() => {
         this.dialog.querySelector('.modal-content').scrollTop = 0;
       }, 0);
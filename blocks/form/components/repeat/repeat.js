@@ -75,6 +75,17 @@ export function createButton(label, icon) {
   return button;
 }
 
+/**
+ * Dispatches a repeat lifecycle event:
+ * repeat:remove (before an instance is removed) and repeat:change (instance count changed).
+ * @param {HTMLElement} target - The instance or repeat wrapper element
+ * @param {string} name - The event name without the `repeat:` prefix
+ * @param {Object} detail - The event detail
+ */
+function dispatchRepeatEvent(target, name, detail) {
+  target.dispatchEvent(new CustomEvent(`repeat:${name}`, { detail, bubbles: true }));
+}
+
 /**
  * Updates repeat wrapper state based on current instance count and min/max constraints.
  * Sets data attributes that CSS uses to control button visibility.
@@ -85,11 +96,18 @@ function updateRepeatState(wrapper) {
   const count = instances.length;
   const min = Number(wrapper.dataset.min) || 0;
   const max = Number(wrapper.dataset.max) || -1;
+  const { instanceCount: prevCount } = wrapper.dataset;
 
   // Set data attributes for CSS to react to
   wrapper.dataset.addInstance = (max === -1 || count < max) ? 'true' : 'false';
   wrapper.dataset.removeInstance = (count > min) ? 'true' : 'false';
   wrapper.dataset.instanceCount = count;
+
+  if (prevCount !== undefined && Number(prevCount) !== count) {
+    dispatchRepeatEvent(wrapper, 'change', {
+      count, prevCount: Number(prevCount), min, max,
+    });
+  }
 }
 
 /**
@@ -236,6 +254,7 @@ export function insertRemoveButton(fieldset, wrapper, strategy = repeatStrategie
     const repeatWrapper = fieldset.closest('.repeat-wrapper');
     const allInstances = repeatWrapper.querySelectorAll('[data-repeatable="true"]');
     const currentIndex = Array.from(allInstances).indexOf(fieldset);
+    dispatchRepeatEvent(fieldset, 'remove', { index: currentIndex });
 
     // Determine which removeInstance signature based on strategy type
     if (strategy === repeatStrategies.doc) {
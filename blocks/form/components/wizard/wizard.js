@@ -1,5 +1,18 @@
 import { createButton } from '../../util.js';
 
+function stepDetail(step) {
+  return { id: step.id, index: +step.dataset.index };
+}
+
+// wizard:navigate and wizard:blocked do not bubble; listen in the capture phase on the form
+function dispatchWizardEvent(panel, name, detail) {
+  panel.dispatchEvent(new CustomEvent(`wizard:${name}`, { detail, bubbles: false }));
+}
+
+function isHiddenField(fieldElement) {
+  return fieldElement.closest('.field-wrapper')?.dataset?.visible === 'false';
+}
+
 export class WizardLayout {
   inputFields = 'input,textarea,select';
 
@@ -41,9 +54,8 @@ export class WizardLayout {
   validateContainer(container) {
     const fieldElements = [...container.querySelectorAll(this.inputFields)];
     const isValid = fieldElements.reduce((valid, fieldElement) => {
-      const isHidden = fieldElement.closest('.field-wrapper')?.dataset?.visible === 'false';
       let isFieldValid = true;
-      if (!isHidden) {
+      if (!isHiddenField(fieldElement)) {
         isFieldValid = fieldElement.checkValidity();
       }
       return valid && isFieldValid;
@@ -63,6 +75,14 @@ export class WizardLayout {
     if (forward) {
       valid = this.validateContainer(current);
     }
+    if (!valid) {
+      dispatchWizardEvent(panel, 'blocked', {
+        step: stepDetail(current),
+        // the fields validateContainer rejected; hidden ones are not validated
+        invalidElements: [...current.querySelectorAll(this.inputFields)]
+          .filter((el) => !isHiddenField(el) && !el.validity.valid),
+      });
+    }
     const navigateTo = valid ? this.getEligibleSibling(current, forward) : current;
 
     if (navigateTo && current !== navigateTo) {
@@ -72,14 +92,11 @@ export class WizardLayout {
       const navigateToMenuItem = panel.querySelector(`li[data-index="${navigateTo.dataset.index}"]`);
       currentMenuItem.classList.remove('wizard-menu-active-item');
       navigateToMenuItem.classList.add('wizard-menu-active-item');
-      const event = new CustomEvent('wizard:navigate', {
-        detail: {
-          prevStep: { id: current.id, index: +current.dataset.index },
-          currStep: { id: navigateTo.id, index: +navigateTo.dataset.index },
-        },
-        bubbles: false,
+      dispatchWizardEvent(panel, 'navigate', {
+        prevStep: stepDetail(current),
+        currStep: stepDetail(navigateTo),
+        trigger: forward ? 'next' : 'back',
       });
-      panel.dispatchEvent(event);
     }
   }
 
@@ -94,9 +111,18 @@ export class WizardLayout {
         menuItem.dataset.visible = element.dataset.visible;
       } else if (type === 'attributes' && attributeName === 'data-active') {
         // for active panel
-        panel.querySelector('.current-wizard-step')?.classList.remove('current-wizard-step');
+        const current = panel.querySelector('.current-wizard-step');
+        current?.classList.remove('current-wizard-step');
         const activePanel = panel.querySelector(`#${target?.id}`);
         activePanel?.classList.add('current-wizard-step');
+        // a jump from the menu or a rule (navigateTo / setFocus)
+        if (current && activePanel && current !== activePanel) {
+          dispatchWizardEvent(panel, 'navigate', {
+            prevStep: stepDetail(current),
+            currStep: stepDetail(activePanel),
+            trigger: 'jump',
+          });
+        }
         // for active menu item
         panel.querySelector('.wizard-menu-active-item')?.classList.remove('wizard-menu-active-item');
         menuItems.querySelector(`[data-index="${activePanel.dataset.index}"]`)?.classList.add('wizard-menu-active-item');
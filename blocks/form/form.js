@@ -16,6 +16,7 @@ import {
   extractIdFromUrl,
   getHTMLRenderType,
   getSitePageName,
+  markFormTiming,
   setConstraints,
   setPlaceholder,
   stripTags,
@@ -365,14 +366,22 @@ export async function createForm(formDef, data, source = 'aem') {
 
   if (afModule && typeof Worker === 'undefined') {
     window.setTimeout(async () => {
-      afModule.loadRuleEngine(formDef, form, captcha, generateFormRendition, data);
+      await afModule.loadRuleEngine(formDef, form, captcha, generateFormRendition, data);
+      markFormTiming('interactive', { formId: form.dataset.id });
     }, DELAY_MS);
   }
 
   form.addEventListener('reset', async () => {
     const response = await createForm(formDef);
     if (response?.form) {
-      document.querySelector(`[data-action="${form?.dataset?.action}"]`)?.replaceWith(response?.form);
+      const previous = document.querySelector(`[data-action="${form?.dataset?.action}"]`);
+      if (!previous) return;
+      // the rebuilt form keeps the identity decorate() gave this one
+      ['id', 'formpath'].forEach((key) => {
+        if (previous.dataset[key]) response.form.dataset[key] = previous.dataset[key];
+      });
+      previous.replaceWith(response.form);
+      response.form.dispatchEvent(new CustomEvent('form:replaced', { detail: { previous }, bubbles: true }));
     }
   });
 
@@ -500,7 +509,9 @@ export default async function decorate(block) {
   let pathname;
   if (container) {
     ({ pathname } = new URL(container.href));
+    const fetchStart = window.performance.now();
     formDef = await fetchForm(container.href);
+    markFormTiming('fetch', { formId: formDef?.id }, fetchStart);
   } else {
     ({ container, formDef } = extractFormDefinition(block));
   }
@@ -521,6 +532,7 @@ export default async function decorate(block) {
     } else {
       formDef.action = getSubmitBaseUrl() + (formDef.action || '');
     }
+    const renderStart = window.performance.now();
     if (isDocumentBasedForm(formDef)) {
       const transform = new DocBasedFormToAF();
       formDef = transform.transform(formDef);
@@ -548,6 +560,11 @@ export default async function decorate(block) {
     if (source === 'aem' && formDef.properties && formDef.properties['fd:path']) {
       form.dataset.formpath = formDef.properties['fd:path'];
     }
+    markFormTiming('render', { formId: formDef.id }, renderStart);
     container.replaceWith(form);
+    // AF forms become interactive once the rule engine is ready
+    if (!rules || block.classList.contains('edit-mode')) {
+      markFormTiming('interactive', { formId: formDef.id });
+    }
   }
 }
@@ -18,7 +18,7 @@
  * Adobe permits you to use and modify this file solely in accordance with
  * the terms of the Adobe license agreement accompanying it.
  ************************************************************************ */
-import { submitSuccess, submitFailure } from '../submit.js';
+import { submitSuccess, submitFailure, submitError } from '../submit.js';
 import {
   createHelpText,
   createLabel,
@@ -27,6 +27,7 @@ import {
   createDropdownUsingEnum,
   createRadioOrCheckboxUsingEnum,
   fetchData,
+  markFormTiming,
 } from '../util.js';
 import registerCustomFunctions from './functionRegistration.js';
 import { LOG_LEVEL } from '../constant.js';
@@ -264,11 +265,23 @@ function handleRuleEngineEvent(e, form, generateFormRendition) {
     submitSuccess(e, form);
   } else if (type === 'submitFailure') {
     submitFailure(e, form);
+  } else if (type === 'submitError' && payload?.type) {
+    submitError(e, form);
+  }
+}
+
+// rule runs long enough to block the main thread are recorded as `form:rules` spans
+const LONG_RULE_MS = 50;
+
+function markRuleExecution(htmlForm, start) {
+  if (window.performance.now() - start >= LONG_RULE_MS) {
+    markFormTiming('rules', { formId: htmlForm?.dataset?.id }, start);
   }
 }
 
 function applyRuleEngine(htmlForm, form, captcha) {
   htmlForm.addEventListener('change', (e) => {
+    const start = window.performance.now();
     const field = e.target;
     const { value, name, checked } = field;
     const { id } = field.closest('.field-wrapper').dataset;
@@ -286,6 +299,7 @@ function applyRuleEngine(htmlForm, form, captcha) {
     } else {
       form.getElement(id).value = value;
     }
+    markRuleExecution(htmlForm, start);
     // console.log(JSON.stringify(form.exportData(), null, 2));
   });
 
@@ -306,7 +320,9 @@ function applyRuleEngine(htmlForm, form, captcha) {
         form.getElement(captcha.id).value = token;
       }
       if (element) {
+        const start = window.performance.now();
         element.dispatch({ type: 'click' });
+        markRuleExecution(htmlForm, start);
       }
     }
   });
@@ -317,6 +333,7 @@ export async function loadRuleEngine(formDef, htmlForm, captcha, genFormRenditio
   const form = ruleEngine.restoreFormInstance(formDef, data);
   window.myForm = form;
   formModels[htmlForm.dataset?.id] = form;
+  htmlForm.formModel = form;
   const subscriptions = formSubscriptions[htmlForm.dataset?.id];
   subscriptions?.forEach((subscription, id) => {
     const { callback, fieldDiv } = subscription;
@@ -344,6 +361,10 @@ export async function loadRuleEngine(formDef, htmlForm, captcha, genFormRenditio
     handleRuleEngineEvent(e, htmlForm);
   }, 'submitError');
   applyRuleEngine(htmlForm, form, captcha);
+  htmlForm.dispatchEvent(new CustomEvent('form:model-ready', {
+    detail: { formModel: form },
+    bubbles: true,
+  }));
 }
 
 async function initializeRuleEngineWorker(formDef, renderHTMLForm) {
@@ -390,11 +411,15 @@ async function initializeRuleEngineWorker(formDef, renderHTMLForm) {
       }
 
       if (e.data.name === 'fieldChanged') {
+        const start = window.performance.now();
         await fieldChanged(e.data.payload, form, generateFormRendition);
+        markRuleExecution(form, start);
       }
 
       if (e.data.name === 'sync-complete') {
         form?.classList.remove('loading');
+        markFormTiming('sync-complete', { formId: form?.dataset?.id });
+        markFormTiming('interactive', { formId: form?.dataset?.id });
       }
     });
   });
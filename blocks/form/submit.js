@@ -1,10 +1,22 @@
 import { DEFAULT_THANK_YOU_MESSAGE, getSubmitBaseUrl } from './constant.js';
 
+// submit lifecycle: submit:attempt, submit:blocked, submit:success, submit:failure
+function dispatchSubmitEvent(form, name, detail = {}) {
+  form.dispatchEvent(new CustomEvent(`submit:${name}`, { detail, bubbles: true }));
+}
+
+// rule-engine events carry the response as payload, doc-based submit passes it directly
+function responseStatus(e) {
+  return e?.payload?.status ?? e?.status ?? null;
+}
+
 export function submitSuccess(e, form) {
+  dispatchSubmitEvent(form, 'success', { status: responseStatus(e) });
   const { payload } = e;
   const redirectUrl = form.dataset.redirectUrl || payload?.body?.redirectUrl;
   const thankYouMsg = form.dataset.thankYouMsg || payload?.body?.thankYouMessage;
   if (redirectUrl) {
+    form.dispatchEvent(new CustomEvent('form:redirect', { detail: { redirectUrl }, bubbles: true }));
     window.location.assign(encodeURI(redirectUrl));
   } else {
     let thankYouMessage = form.parentNode.querySelector('.form-message.success-message');
@@ -24,6 +36,7 @@ export function submitSuccess(e, form) {
 }
 
 export function submitFailure(e, form) {
+  dispatchSubmitEvent(form, 'failure', { status: responseStatus(e), reason: e?.payload?.type ?? null });
   let errorMessage = form.querySelector('.form-message.error-message');
   if (!errorMessage) {
     errorMessage = document.createElement('div');
@@ -36,6 +49,11 @@ export function submitFailure(e, form) {
   form.querySelector('button[type="submit"]').disabled = false;
 }
 
+// client-side errors (e.g. captcha token) end the submit for listeners; the form is left as is
+export function submitError(e, form) {
+  dispatchSubmitEvent(form, 'failure', { status: null, reason: e?.payload?.type ?? null });
+}
+
 function generateUnique() {
   return new Date().valueOf() + Math.random();
 }
@@ -109,8 +127,9 @@ async function submitDocBasedForm(form, captcha) {
     if (response.ok) {
       submitSuccess(response, form);
     } else {
-      const error = await response.text();
-      throw new Error(error);
+      const error = new Error(await response.text());
+      error.status = response.status;
+      throw error;
     }
   } catch (error) {
     submitFailure(error, form);
@@ -119,6 +138,10 @@ async function submitDocBasedForm(form, captcha) {
 
 export async function handleSubmit(e, form, captcha) {
   e.preventDefault();
+  // a second click or Enter while a submit is in flight is not a new attempt
+  if (form.getAttribute('data-submitting') !== 'true') {
+    dispatchSubmitEvent(form, 'attempt', { source: form.dataset.source || null });
+  }
   const valid = form.checkValidity();
   if (valid) {
     e.submitter?.setAttribute('disabled', '');
@@ -134,6 +157,10 @@ export async function handleSubmit(e, form, captcha) {
     }
   } else {
     const firstInvalidEl = form.querySelector(':invalid:not(fieldset)');
+    dispatchSubmitEvent(form, 'blocked', {
+      invalidElements: [...form.querySelectorAll(':invalid:not(fieldset)')],
+      focusedElement: firstInvalidEl,
+    });
     if (firstInvalidEl) {
       firstInvalidEl.focus();
       firstInvalidEl.scrollIntoView({ behavior: 'smooth' });
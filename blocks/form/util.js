@@ -257,6 +257,26 @@ export function extractIdFromUrl(url) {
   const segments = url?.split('/');
   return segments?.[segments.length - 1];
 }
+
+/**
+ * Records a form loading milestone with the User Timing API as `form:<name>`
+ * @param {string} name - fetch, render, sync-complete, interactive or rules
+ * @param {Object} detail - `{ formId }` of the form
+ * @param {number} [start] - performance.now() when the step began; records a measure
+ * up to now instead of a mark
+ */
+export function markFormTiming(name, detail, start) {
+  try {
+    if (start === undefined) {
+      window.performance.mark(`form:${name}`, { detail });
+    } else {
+      window.performance.measure(`form:${name}`, { start, detail });
+    }
+  } catch (e) {
+    // User Timing with detail is not supported
+  }
+}
+
 const constraintsDef = Object.entries({
   'password|tel|email|text': [['maxLength', 'maxlength'], ['minLength', 'minlength'], 'pattern'],
   'number|range|date': [['maximum', 'Max'], ['minimum', 'Min'], 'step'],
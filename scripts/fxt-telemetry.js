@@ -4,36 +4,31 @@
  * Usage:
  *   <script src="/path/to/fxt-telemetry.js"></script>
  *   <script>
- *     FXT.init({ endpoint: '/api/fxt/events', formSelector: '#my-form' });
+ *     FXT.init({ endpoint: '/api/fxt/events', formSelector: 'form' });
  *   </script>
  *
+ * Every form matching `formSelector` is instrumented, including forms rendered after init.
+ * TELEMETRY_CAPTURE_SUMMARY.md describes each feature, its config and its events.
+ *
  * Features:
  *  - Captures focus, blur, change, error, step transition
- *  - Masks actual values (sends valueSummary only)
+ *  - Masks actual values (sends valueSummary only, per-field redaction levels)
  *  - Captures console errors, window errors, promise rejections
  *  - Captures network failures (fetch/XHR)
- *  - Sends events in small batches; uses sendBeacon on unload
- *  - MutationObserver captures DOM structural changes (rate limited)
+ *  - Sends events in batches through pluggable transports, with a persistent outbox
+ *  - Sessions span reloads and pages; sampling, rate limits and consent decide what is sent
+ *  - Form block components: wizards, accordions, modals, repeatable panels, file uploads,
+ *    submit funnel, form reset and the AF rule-engine model
+ *  - Plugins (FXT.use) and a full teardown (FXT.stop)
  *
  * Pain Point Analytics (NEW):
- *  - Time spent on each field (focus to blur duration)
- *  - Multiple edits/rewrites tracking (edit count per field)
- *  - Repeated validation failures (count per field)
- *  - Backspace/correction patterns (hesitation indicators)
- *  - Field clear events (user frustration signals)
- *  - Paste events (different interaction pattern)
+ *  - Time, edits, validation failures, corrections, clears and pastes per field
+ *  - Frustration signals (rage clicks, dead clicks, focus thrash)
  *  - Drop-off detection (last field before abandonment)
- *  - Field engagement metrics (focus count, total time, edit count)
- *  - Automatic pain point identification (fields with struggle indicators)
+ *  - Pain points from declarative rules, with severity and a friction score
  *  - Periodic field analytics snapshots (every 30s)
  *  - Comprehensive field analytics summary on session end
  *
- * Event Types Sent:
- *  - focus, blur, change, error (validation), paste
- *  - field-analytics (aggregated pain point data)
- *  - session-start, session-end, heartbeat
- *  - dom-mutation, step-transition
- *
  * Privacy Notes:
  *  - DOES NOT include field values (only metadata)
  *  - DOES NOT emit IP/UA in body, but transport (browser->server) will include standard headers; server must drop/ignore them
@@ -52,12 +47,68 @@
       batchSize: 25,                // max events per POST
       flushIntervalMs: 4000,        // flush every N ms
       mutationBatchMs: 3000,        // coalesce mutation events
+      idleGapMs: 2000,              // longer pauses between keystrokes count as idle, not typing
+      rageClickCount: 3,            // clicks within rageClickRadiusPx and rageClickWindowMs
+      rageClickWindowMs: 1000,
+      rageClickRadiusPx: 30,
+      thrashWindowMs: 4000,         // A-B-A-B focus bounce within this window is focus thrash
       maxMutationRecordsPerBatch: 8,
-      sessionTtlMs: 1000 * 60 * 60, // session TTL (1 hour)
-      enableConsoleWrap: true,
+      sessionTtlMs: 1000 * 60 * 60, // session TTL (1 hour), sliding: extended by activity
+      sessionStore: 'session',      // 'session' (per tab) or 'local' (shared across tabs)
+      sessionStorageKey: 'fxt-session',
+      outboxDbName: 'fxt-outbox',   // IndexedDB database holding unsent batches
+      outboxMaxBatches: 50,         // oldest batches are evicted beyond this
+      retryBaseMs: 2000,            // first retry delay, doubled per attempt
+      retryMaxMs: 60000,            // retry delay cap
+      encoding: 'json',             // 'json' or 'compact' (dictionary-coded, see encodePayload)
+      compress: true,               // gzip request bodies where CompressionStream exists
+      compressMinBytes: 1024,       // smaller bodies are sent as-is
+      painPointRules: [],           // added to / overriding DEFAULT_PAIN_POINT_RULES by id
+      redactionDefault: 'none',     // level for fields no policy classifies, see redactionLevelFor()
+      redaction: {},                // per field level, keyed by logical key, data-id or name
+      urlAllowParams: [],           // query parameters kept in reported URLs (values still scrubbed)
+      scrubPatterns: [],            // extra { pattern, replacement } for URLs and messages
+      scrubber: null,               // optional final pass: function (text, kind) -> text
+      sampleRate: 1,                // share of sessions sampled in, decided once per session
+      useRumWeight: false,          // sample at 1 / window.hlx.rum.weight (scripts/aem.js sampleRUM)
+      eventSampleRates: {},         // per event key (type, or error:<errorType>), e.g. { heartbeat: 0.1 }
+      rateLimits: {                 // token buckets per event key
+        'dom-mutation': { perMinute: 30, burst: 10 },
+        'error:console': { perMinute: 10, burst: 5 }
+      },
+      conversionEvents: ['submit-success'], // still sent, minimal, by sampled-out sessions
+      requireConsent: false,        // buffer events until FXT.setConsent() grants their category
+      consent: null,                // initial grants, e.g. from a CMP cookie: { analytics, diagnostics }
+      honorPrivacySignals: true,    // Global Privacy Control / Do Not Track deny every category
+      preConsentMaxEvents: 500,     // in-memory buffer while consent is pending, oldest dropped
+      captureTimeline: false,       // ordered field/step/submit path for journey replay, see noteTimeline()
+      timelineChunkSize: 50,        // most entries per timeline event
+      capturePerformance: true,     // form milestones, LCP/INP/CLS and long tasks, see sendPerformanceReport()
+      plugins: {},                  // on/off by plugin name, e.g. { network: false, mutations: false }
+      enableConsoleWrap: true,      // default of plugins.console
       debug: false
     };
   
+    // a rule fires when the field's summary `metric` exceeds `threshold`; fired rules add
+    // weight x min(value / threshold, 3) to the field's friction score. Fields override a
+    // rule with data-fxt-threshold-<rule-id> / data-fxt-weight-<rule-id> on the wrapper
+    // ("off" disables it), e.g. data-fxt-threshold-excessive-time-spent="120000"
+    const DEFAULT_PAIN_POINT_RULES = [
+      { id: 'repeatedValidationFailures', metric: 'validationFailures', threshold: 2, weight: 3, severity: 'high' },
+      { id: 'excessiveTimeSpent', metric: 'totalTimeSpentMs', threshold: 30000, weight: 1, severity: 'medium' },
+      { id: 'multipleReturns', metric: 'focusCount', threshold: 3, weight: 1, severity: 'low' },
+      { id: 'manyEdits', metric: 'editCount', threshold: 5, weight: 1, severity: 'low' },
+      { id: 'multipleClears', metric: 'clearCount', threshold: 1, weight: 2, severity: 'medium' },
+      { id: 'rageClicks', metric: 'rageClicks', threshold: 0, weight: 1, severity: 'high' },
+      { id: 'deadClicks', metric: 'deadClicks', threshold: 1, weight: 1, severity: 'low' },
+      { id: 'focusThrash', metric: 'focusThrash', threshold: 0, weight: 1, severity: 'medium' }
+    ];
+  
+    // bumped whenever the envelope or an event's shape changes incompatibly;
+    // tools/fxt-decoder.js lists the versions it understands
+    const SCHEMA_VERSION = 1;
+    const SDK_VERSION = '1.0.0';
+  
     /* ---------------------------
      * Utilities
      * --------------------------- */
@@ -90,6 +141,25 @@
     function logDebug(...args) {
       if (FXT._config.debug) console.debug('[FXT]', ...args);
     }
+
+    // everything init and instrumentation set up registers its undo here; FXT.stop()
+    // runs them newest first
+    function onCleanup(fn) {
+      FXT._cleanups.push(fn);
+    }
+
+    function listen(target, type, listener, options) {
+      target.addEventListener(type, listener, options);
+      onCleanup(() => target.removeEventListener(type, listener, options));
+    }
+
+    function runCleanups(cleanups) {
+      cleanups.splice(0).reverse().forEach(fn => {
+        try {
+          fn();
+        } catch (e) { /* ignore */ }
+      });
+    }
   
     // generate a short CSS path selector for an element (no values)
     function cssPath(el) {
@@ -121,18 +191,256 @@
       }
       return path.join(' > ');
     }
-  
-    // derive a tiny summary about the input value (but never include the value)
+
+    /* ---------------------------
+     * Field identity (model-aware)
+     * --------------------------- */
+
+    // the .field-wrapper rendered by the form block; radio/checkbox group options drop
+    // that class, so their inputs resolve to the group fieldset
+    function fieldWrapperFor(el) {
+      return el && el.closest ? el.closest('.field-wrapper') : null;
+    }
+
+    // AF model node for a wrapper id, available once the rule engine set form.formModel
+    function modelNodeFor(el, id) {
+      const form = el && el.closest ? el.closest('form') : null;
+      const model = form && form.formModel;
+      if (!id || !model || typeof model.getElement !== 'function') return null;
+      try {
+        return model.getElement(id) || null;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    // index of the repeatable panel instance holding the element (null outside repeats)
+    function repeatInstanceFor(el) {
+      const instance = el && el.closest ? el.closest('[data-repeatable="true"]') : null;
+      if (!instance) return null;
+      const index = parseInt(instance.dataset.index, 10);
+      return isNaN(index) ? 0 : index;
+    }
+
+    // form block wrappers are classed `<renderType>-wrapper`, e.g. `drop-down-wrapper`
+    function renderTypeFor(wrapper) {
+      if (!wrapper || !wrapper.classList) return null;
+      const cls = Array.from(wrapper.classList)
+        .find(c => c !== 'field-wrapper' && c !== 'panel-wrapper' && /-wrapper$/.test(c));
+      return cls ? cls.replace(/-wrapper$/, '') : null;
+    }
+
+    // dotted path of panel and field names; doc-based repeats suffix radio/checkbox
+    // names with `-<index>`, which is dropped so instances share a path
+    function namePathFor(el, wrapper) {
+      const names = [];
+      const leaf = (wrapper && wrapper.tagName === 'FIELDSET' && wrapper.name) || el.name;
+      if (leaf) names.unshift(repeatInstanceFor(el) !== null ? leaf.replace(/-\d+$/, '') : leaf);
+      let node = (wrapper || el).parentElement;
+      while (node && node.tagName !== 'FORM') {
+        if (node.tagName === 'FIELDSET' && node.name) names.unshift(node.name);
+        node = node.parentElement;
+      }
+      return names.length ? names.join('.') : null;
+    }
+
+    // repeat indices collapsed: `$form.travellers[1].name` -> `$form.travellers[*].name`
+    function logicalKeyFor(qualifiedName) {
+      return qualifiedName.replace(/\[\d+\]/g, '[*]');
+    }
+
+    // stable identity for a field element. `key` is the logical field: repeated
+    // instances of the same field share it, so metrics roll up across instances
+    function fieldIdentity(el) {
+      if (!el) return null;
+      const wrapper = fieldWrapperFor(el);
+      const id = (wrapper && wrapper.dataset.id) || el.id || null;
+      const model = modelNodeFor(el, id);
+      const qualifiedName = (model && model.qualifiedName) || null;
+      const fieldType = (model && model.fieldType)
+        || (el.dataset && el.dataset.fieldType)
+        || renderTypeFor(wrapper)
+        || el.type
+        || null;
+      const key = qualifiedName
+        ? logicalKeyFor(qualifiedName)
+        : namePathFor(el, wrapper) || id || cssPath(el);
+      return {
+        key,
+        id,
+        name: (wrapper && wrapper.tagName === 'FIELDSET' && wrapper.name) || el.name || null,
+        fieldType,
+        qualifiedName,
+        instance: repeatInstanceFor(el)
+      };
+    }
+
+    // identity of a field from AF model state (fieldChanged payloads); the instance
+    // is the innermost repeat index in the qualified name
+    function modelFieldIdentity(state) {
+      const qualifiedName = state.qualifiedName || null;
+      const indices = qualifiedName ? qualifiedName.match(/\[\d+\]/g) : null;
+      return {
+        key: qualifiedName ? logicalKeyFor(qualifiedName) : state.name || state.id,
+        id: state.id || null,
+        name: state.name || null,
+        fieldType: state.fieldType || null,
+        qualifiedName,
+        instance: indices ? parseInt(indices[indices.length - 1].slice(1), 10) : null
+      };
+    }
+
+    function identityInfo(identity) {
+      return {
+        field: identity.key,
+        fieldId: identity.id,
+        fieldName: identity.name,
+        qualifiedName: identity.qualifiedName,
+        instance: identity.instance,
+        fieldType: identity.fieldType
+      };
+    }
+
+    // common field properties carried by every field-level event
+    function fieldInfo(el) {
+      return {
+        ...identityInfo(fieldIdentity(el)),
+        tag: el.tagName,
+        step: stepIndexForElement(el)
+      };
+    }
+
+    // mutation records reference the field they touch, or a short selector otherwise
+    function describeNode(node) {
+      if (fieldWrapperFor(node)) return { field: fieldIdentity(node).key };
+      return { selector: cssPath(node) };
+    }
+
+    /* ---------------------------
+     * Redaction policy
+     * --------------------------- */
+    // how much of a field's value the summary may reveal, weakest first:
+    //  none     - exact length and character class
+    //  bucket   - length bucket only
+    //  presence - filled or empty only
+    //  exclude  - nothing; the value is never read
+    const REDACTION_LEVELS = ['none', 'bucket', 'presence', 'exclude'];
+
+    // autocomplete tokens (HTML autofill detail) and the level they imply
+    const AUTOCOMPLETE_REDACTION = {
+      'current-password': 'exclude',
+      'new-password': 'exclude',
+      'one-time-code': 'exclude',
+      'cc-number': 'exclude',
+      'cc-csc': 'exclude',
+      'cc-exp': 'exclude',
+      'cc-exp-month': 'exclude',
+      'cc-exp-year': 'exclude',
+      'cc-name': 'presence',
+      'bday': 'presence',
+      'bday-day': 'presence',
+      'bday-month': 'presence',
+      'bday-year': 'presence',
+      'email': 'presence',
+      'tel': 'presence',
+      'tel-national': 'presence',
+      'tel-local': 'presence',
+      'name': 'bucket',
+      'given-name': 'bucket',
+      'additional-name': 'bucket',
+      'family-name': 'bucket',
+      'username': 'bucket',
+      'street-address': 'bucket',
+      'address-line1': 'bucket',
+      'address-line2': 'bucket',
+      'address-line3': 'bucket',
+      'postal-code': 'bucket'
+    };
+
+    const LENGTH_BUCKETS = [[0, '0'], [4, '1-4'], [9, '5-9'], [19, '10-19'], [49, '20-49']];
+
+    // the password component toggles type=password to text to reveal the value; a field
+    // seen as a password stays excluded
+    const passwordFields = new WeakSet();
+
+    // passwords are recorded when the form is bound and whenever one changes type, so a
+    // reveal before the first focus cannot expose the value
+    function watchPasswordFields(form) {
+      form.querySelectorAll('input[type="password"]').forEach(el => passwordFields.add(el));
+      if (!global.MutationObserver) return;
+      const mo = new MutationObserver(mutations => {
+        mutations.forEach(m => {
+          if (m.oldValue === 'password' || m.target.type === 'password') passwordFields.add(m.target);
+        });
+      });
+      mo.observe(form, { attributes: true, attributeFilter: ['type'], attributeOldValue: true, subtree: true });
+      onCleanup(() => mo.disconnect());
+    }
+
+    function redactionLevel(value) {
+      // bare data-fxt-sensitive (or "true") excludes the field
+      if (value === '' || value === true || value === 'true') return 'exclude';
+      return REDACTION_LEVELS.includes(value) ? value : null;
+    }
+
+    function autocompleteLevel(el) {
+      const tokens = String(el.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+      // the field name is the last token: "section-billing shipping postal-code"
+      const level = AUTOCOMPLETE_REDACTION[tokens[tokens.length - 1]];
+      return level || null;
+    }
+
+    function explicitLevel(el, identity) {
+      // on the input, its wrapper or a panel around several fields
+      const marked = el.closest && el.closest('[data-fxt-sensitive]');
+      const marking = marked ? redactionLevel(marked.dataset.fxtSensitive) : null;
+      if (marking) return marking;
+      const configured = FXT._config.redaction || {};
+      const byField = [identity.key, identity.id, identity.name]
+        .map(k => (k ? redactionLevel(configured[k]) : null))
+        .find(Boolean);
+      if (byField) return byField;
+      // authored on the AF model, e.g. "properties": { "fxt:redaction": "presence" }
+      const model = modelNodeFor(el, identity.id);
+      const properties = model && model.properties;
+      return (properties && (redactionLevel(properties['fxt:redaction'])
+        || (properties['fxt:sensitive'] === true ? 'exclude' : null))) || null;
+    }
+
+    // explicit levels (data-fxt-sensitive, config `redaction`, model properties) win over
+    // autocomplete classification; nothing relaxes a password field
+    function redactionLevelFor(el) {
+      if (el.type === 'password') passwordFields.add(el);
+      if (passwordFields.has(el)) return 'exclude';
+      const identity = fieldIdentity(el);
+      return explicitLevel(el, identity)
+        || autocompleteLevel(el)
+        || redactionLevel(FXT._config.redactionDefault)
+        || 'none';
+    }
+
+    function lengthBucket(length) {
+      const bucket = LENGTH_BUCKETS.find(([max]) => length <= max);
+      return bucket ? bucket[1] : '50+';
+    }
+
+    // derive a tiny summary about the input value (but never include the value);
+    // what it reveals follows the field's redaction level
     function valueSummaryForElement(el) {
       try {
         if (!el) return null;
         const tag = el.tagName ? el.tagName.toLowerCase() : '';
         // only consider input/select/textarea; do not read value text
         if (tag === 'input' || tag === 'textarea' || tag === 'select') {
-          // we will compute length and a coarse type
+          // a file input's value is a path with the file name: presence only
+          if (el.type === 'file') return { redaction: 'presence', present: !!(el.files && el.files.length) };
+          const level = redactionLevelFor(el);
+          if (level === 'exclude') return { redaction: level };
           // to avoid reading PII text, we only sample the value length and character classes
           const value = el.value || '';
           const len = value.length;
+          if (level === 'presence') return { redaction: level, present: len > 0 };
+          if (level === 'bucket') return { redaction: level, lengthBucket: lengthBucket(len) };
           let kind = 'empty';
           if (len > 0) {
             const hasDigits = /[0-9]/.test(value);
@@ -151,8 +459,17 @@
         return null;
       }
     }
+
+    // whether a summary shows a value: true/false, or null when the level hides it
+    function summaryHasValue(summary) {
+      if (!summary || summary.redaction === 'exclude') return null;
+      if (summary.redaction === 'presence') return summary.present;
+      if (summary.redaction === 'bucket') return summary.lengthBucket !== '0';
+      return summary.length > 0;
+    }
   
-    // light canonicalization of form steps: infer step index from data-step attr or nearest ancestor with [data-step]
+    // light canonicalization of form steps: infer step index from data-step attr or nearest ancestor with [data-step],
+    // else the index of the wizard step (blocks/form/components/wizard) the element is in
     function stepIndexForElement(el) {
       let node = el;
       let depth = 0;
@@ -163,7 +480,8 @@
         node = node.parentElement;
         depth++;
       }
-      return null;
+      const wizardStep = el && el.closest && el.closest('.wizard > fieldset[data-index]');
+      return wizardStep ? wizardStep.dataset.index : null;
     }
   
     // compact event envelope
@@ -181,156 +499,2122 @@
     FXT._config = Object.assign({}, DEFAULTS);
     FXT._sessionId = null;
     FXT._events = [];
+    FXT._outbox = [];               // unsent batches, oldest first (mirrored to IndexedDB)
+    FXT._outboxDb = null;
+    FXT._outboxReplayed = false;    // once per init, see replayPersistedBatches()
+    FXT._evictedBatches = 0;
+    FXT._sending = false;
+    FXT._drainGeneration = 0;       // bumped by teardown(), see drainOutbox()
+    FXT._retryTimer = null;
+    FXT._transports = [];           // see resolveTransports()
     FXT._flushTimer = null;
     FXT._lastFlush = 0;
+    FXT._heartbeatTimer = null;
+    FXT._cleanups = [];             // undo functions, see onCleanup()
     FXT._startedAt = perfNow();
-    FXT._mutationBuffer = [];
-    FXT._mutationTimer = null;
+    FXT._session = null;            // persisted session record, see loadOrStartSession()
+    FXT._sessionWrittenAt = 0;
     FXT._collectedConsole = [];
     FXT._isInitialized = false;
+    FXT._forms = [];                // instrumented form records, see instrumentForm()
+    FXT._discoveryObserver = null;
+    FXT._plugins = [];              // FXT.use() registrations, kept across init
+    FXT._activePlugins = [];        // built-in and registered plugins set up by init
+    FXT._pluginErrors = {};         // hook failures per plugin name
+    FXT._timelineEntries = [];      // timeline chunk not yet enqueued, see noteTimeline()
+    FXT._formTimings = [];          // form:* User Timing entries, see observePerformance()
+    FXT._perf = null;               // web vitals and long tasks collected on this page
+    FXT._perfObservers = [];
     
     // Enhanced tracking for pain point analysis
-    FXT._fieldMetrics = {}; // Per-field engagement tracking
+    FXT._fieldMetrics = {}; // Per-form buckets of per-field engagement tracking
+    FXT._currentFocusedForm = null;
     FXT._currentFocusedField = null;
-    FXT._fieldFocusStartTime = null;
-  
+    FXT._focusTiming = null;        // the current focus visit, see startFocusTiming()
+
+    // consent per category, 'pending' | 'granted' | 'denied'; see resolveConsent()
+    FXT._consent = { analytics: 'granted', diagnostics: 'granted' };
+    FXT._consentChoice = null;      // FXT.setConsent() grants, kept across init
+    FXT._consentSource = null;      // 'config' | 'api' | 'gpc' | 'dnt'
+    FXT._pendingEvents = [];        // events buffered until their category is decided
+    FXT._droppedPreConsent = 0;
+    FXT._buckets = {};              // token buckets per event key, see takeToken()
+    FXT._throttled = {};            // events dropped by sampling/limits since the last report
+
+    /* ---------------------------
+     * Consent
+     * --------------------------- */
+    // analytics: field behaviour, submit funnel, session and model events
+    // diagnostics: console errors, uncaught errors/rejections, network failures and performance
+    const CONSENT_CATEGORIES = ['analytics', 'diagnostics'];
+    const DIAGNOSTIC_ERROR_TYPES = ['console', 'uncaught', 'unhandledrejection', 'network'];
+
+    function categoryOf(evt) {
+      if (evt.type === 'performance') return 'diagnostics';
+      return evt.type === 'error' && DIAGNOSTIC_ERROR_TYPES.includes(evt.errorType) ? 'diagnostics' : 'analytics';
+    }
+
+    function privacySignal() {
+      const nav = global.navigator || {};
+      if (nav.globalPrivacyControl === true) return 'gpc';
+      const dnt = nav.doNotTrack || global.doNotTrack || nav.msDoNotTrack;
+      return dnt === '1' || dnt === 'yes' ? 'dnt' : null;
+    }
+
+    function consentState(granted, fallback) {
+      if (granted === true) return 'granted';
+      if (granted === false) return 'denied';
+      return fallback;
+    }
+
+    // privacy signals win over config and FXT.setConsent(); otherwise explicit grants
+    // (API, then config) apply and the rest wait for consent when requireConsent is set
+    function resolveConsent(config) {
+      const signal = config.honorPrivacySignals ? privacySignal() : null;
+      const choice = FXT._consentChoice || {};
+      const initial = config.consent || {};
+      const fallback = config.requireConsent ? 'pending' : 'granted';
+      FXT._consentSource = signal || (FXT._consentChoice ? 'api' : 'config');
+      CONSENT_CATEGORIES.forEach(category => {
+        FXT._consent[category] = signal ? 'denied'
+          : consentState(choice[category], consentState(initial[category], fallback));
+      });
+    }
+
+    function isAllowed(category) {
+      return FXT._consent[category] !== 'denied';
+    }
+
+    function hasGrant() {
+      return CONSENT_CATEGORIES.some(category => FXT._consent[category] === 'granted');
+    }
+
+    // wraps a DOM listener so nothing is read or counted for a denied category
+    function whenAllowed(category, listener) {
+      return function (e) {
+        if (isAllowed(category)) listener(e);
+      };
+    }
+
+    // true when the event may be queued for sending; pending events are held in memory
+    function admit(evt) {
+      const state = FXT._consent[categoryOf(evt)];
+      if (state === 'granted') return true;
+      if (state === 'pending') {
+        FXT._pendingEvents.push(evt);
+        if (FXT._pendingEvents.length > FXT._config.preConsentMaxEvents) {
+          FXT._pendingEvents.shift();
+          FXT._droppedPreConsent++;
+        }
+      }
+      return false;
+    }
+
+    // release buffered events of granted categories in their original order, drop denied ones
+    function releasePendingEvents() {
+      const pending = FXT._pendingEvents;
+      const counts = { released: 0, dropped: FXT._droppedPreConsent };
+      FXT._pendingEvents = [];
+      FXT._droppedPreConsent = 0;
+      pending.forEach(evt => {
+        const state = FXT._consent[categoryOf(evt)];
+        if (state === 'granted') {
+          FXT._events.push(evt);
+          counts.released++;
+        } else if (state === 'pending') {
+          FXT._pendingEvents.push(evt);
+        } else {
+          counts.dropped++;
+        }
+      });
+      return counts;
+    }
+
+    function forgetSession() {
+      try {
+        const store = sessionStore();
+        if (store) store.removeItem(FXT._config.sessionStorageKey);
+      } catch (e) { /* ignore */ }
+    }
+
+    // before init there is nothing to release; init resolves the choice itself
+    function applyConsent() {
+      if (!FXT._isInitialized) return;
+      const counts = releasePendingEvents();
+      if (!isAllowed('analytics')) {
+        FXT._fieldMetrics = {};
+        FXT._timelineEntries = [];
+        FXT._forms.forEach(record => {
+          record.wizards = [];
+          record.accordionTabs = [];
+          record.modals = [];
+          record.repeatPanels = [];
+        });
+      }
+      // nothing is stored on the device until a category is granted
+      if (hasGrant()) {
+        writeSession();
+        replayPersistedBatches();
+      } else {
+        forgetSession();
+      }
+      enqueue(makeEvent('consent', {
+        analytics: FXT._consent.analytics,
+        diagnostics: FXT._consent.diagnostics,
+        source: FXT._consentSource,
+        releasedEvents: counts.released,
+        droppedEvents: counts.dropped
+      }));
+      if (FXT._events.length >= FXT._config.batchSize) flush();
+    }
+
+    /* ---------------------------
+     * Sampling and rate limits
+     * --------------------------- */
+    // what a sampled-out session sends of a conversion event
+    const CONVERSION_FIELDS = ['type', 't', 'formId', 'formPath', 'formSource', 'attempt', 'status'];
+
+    // session, page and consent events are what the collector extrapolates from
+    const UNSAMPLED_TYPES = [
+      'session-start', 'session-resume', 'session-end', 'consent', 'field-analytics', 'form-reset', 'timeline'
+    ];
+
+    // FNV-1a of the session id mapped to [0, 1): the same id always gets the same decision,
+    // which the collector can reproduce
+    function sessionHash(id) {
+      let hash = 0x811c9dc5;
+      for (let i = 0; i < id.length; i++) {
+        hash ^= id.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      return (hash >>> 0) / 0x100000000;
+    }
+
+    function configuredSampleRate() {
+      const rum = global.hlx && global.hlx.rum;
+      if (FXT._config.useRumWeight && rum && rum.weight > 0) return 1 / rum.weight;
+      const rate = Number(FXT._config.sampleRate);
+      return isNaN(rate) ? 1 : Math.max(0, Math.min(1, rate));
+    }
+
+    function sessionSample(id) {
+      const rate = configuredSampleRate();
+      return { rate, selected: sessionHash(id) < rate };
+    }
+
+    function eventKey(evt) {
+      return evt.type === 'error' && evt.errorType ? `error:${evt.errorType}` : evt.type;
+    }
+
+    function takeToken(key, limit) {
+      const now = Date.now();
+      const bucket = FXT._buckets[key] || (FXT._buckets[key] = { tokens: limit.burst, at: now });
+      bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.at) * limit.perMinute / 60000);
+      bucket.at = now;
+      if (bucket.tokens < 1) return false;
+      bucket.tokens -= 1;
+      return true;
+    }
+
+    function countThrottled(key) {
+      FXT._throttled[key] = (FXT._throttled[key] || 0) + 1;
+      return null;
+    }
+
+    // dropped counts since the last heartbeat / session-end, so totals can be corrected
+    function throttleReport() {
+      if (!Object.keys(FXT._throttled).length) return {};
+      const throttled = FXT._throttled;
+      FXT._throttled = {};
+      return { throttled };
+    }
+
+    function minimalConversion(evt) {
+      const minimal = { sampled: false, sampleRate: FXT._session.sample.rate };
+      CONVERSION_FIELDS.forEach(k => {
+        if (evt[k] !== undefined) minimal[k] = evt[k];
+      });
+      return minimal;
+    }
+
+    // the event to queue, or null: sampled-out sessions only send minimal conversions,
+    // sampled-in sessions apply per-type rates and token buckets
+    function sampleEvent(evt) {
+      const sample = FXT._session && FXT._session.sample;
+      if (sample && !sample.selected) {
+        return (FXT._config.conversionEvents || []).includes(evt.type) ? minimalConversion(evt) : null;
+      }
+      if (UNSAMPLED_TYPES.includes(evt.type)) return evt;
+      const key = eventKey(evt);
+      const rate = (FXT._config.eventSampleRates || {})[key];
+      if (typeof rate === 'number' && Math.random() >= rate) return countThrottled(key);
+      const limit = (FXT._config.rateLimits || {})[key];
+      if (limit && !takeToken(key, limit)) return countThrottled(key);
+      return evt;
+    }
+
+    /* ---------------------------
+     * Session continuity
+     * --------------------------- */
+    // the session record lives in Web Storage so reloads, multi-page journeys and the
+    // submit redirect to a thank-you page stay in one session:
+    // { id, startedAt, lastActivity, pageSeq, redirect, sample: { rate, selected }, timelineSeq }
+    const SESSION_WRITE_INTERVAL_MS = 5000;
+
+    function sessionStore() {
+      try {
+        return FXT._config.sessionStore === 'local' ? global.localStorage : global.sessionStorage;
+      } catch (e) {
+        return null; // storage blocked (sandboxed iframe, privacy settings)
+      }
+    }
+
+    function readSession() {
+      try {
+        const store = sessionStore();
+        const session = store && JSON.parse(store.getItem(FXT._config.sessionStorageKey));
+        return session && session.id ? session : null;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    function writeSession() {
+      FXT._sessionWrittenAt = Date.now();
+      if (!hasGrant()) return;
+      try {
+        const store = sessionStore();
+        if (store) store.setItem(FXT._config.sessionStorageKey, JSON.stringify(FXT._session));
+      } catch (e) {
+        logDebug('Session storage failed', e);
+      }
+    }
+
+    function isExpired(session, now) {
+      return now - session.lastActivity > FXT._config.sessionTtlMs;
+    }
+
+    function newSession(now) {
+      const id = makeSessionId();
+      return {
+        id, startedAt: now, lastActivity: now, pageSeq: 1, redirect: null, sample: sessionSample(id), timelineSeq: 0
+      };
+    }
+
+    // resume the stored session unless its TTL ran out; each page load takes the next pageSeq
+    function loadOrStartSession() {
+      const now = Date.now();
+      const stored = readSession();
+      if (stored && !isExpired(stored, now)) {
+        FXT._session = {
+          ...stored,
+          lastActivity: now,
+          pageSeq: (stored.pageSeq || 0) + 1,
+          redirect: null,
+          // the decision made when the session started holds for all its pages
+          sample: stored.sample || sessionSample(stored.id)
+        };
+        writeSession();
+        return {
+          resumed: true,
+          idleMs: now - stored.lastActivity,
+          redirect: stored.redirect || null
+        };
+      }
+      FXT._session = newSession(now);
+      writeSession();
+      return { resumed: false, expired: !!stored };
+    }
+
+    // sent on timers or by the page, not by the user: they neither extend the session nor
+    // end it, so an idle open tab still expires
+    const BACKGROUND_TYPES = [
+      'heartbeat', 'field-analytics', 'performance', 'timeline', 'consent', 'form-discovered',
+      'dom-mutation', 'model-change', 'model-validation', 'model-items'
+    ];
+
+    // diagnostics (console errors, failed requests) come from the page as well
+    function isUserActivity(evt) {
+      return !BACKGROUND_TYPES.includes(evt.type) && categoryOf(evt) !== 'diagnostics';
+    }
+
+    // sliding TTL: activity extends the session; activity after the TTL starts a new one
+    function touchSession() {
+      const now = Date.now();
+      if (isExpired(FXT._session, now)) {
+        rotateSession(now);
+        return;
+      }
+      FXT._session.lastActivity = now;
+      if (now - FXT._sessionWrittenAt >= SESSION_WRITE_INTERVAL_MS) writeSession();
+    }
+
+    function rotateSession(now) {
+      // queued events belong to the expired session
+      flush();
+      const previous = FXT._session.id;
+      FXT._session = newSession(now);
+      FXT._sessionId = FXT._session.id;
+      writeSession();
+      const evt = sampleEvent(makeEvent('session-start', {
+        url: pageUrl(), pageSeq: 1, reason: 'expired', previousSessionId: previous, sampleRate: FXT._session.sample.rate
+      }));
+      if (evt && admit(evt)) FXT._events.push(evt);
+      logDebug('Session expired, started', FXT._sessionId);
+    }
+
+    // path segments can carry user data as well (e.g. /confirm/jane@example.com)
+    function pageUrl() {
+      return scrubUrl(location.pathname);
+    }
+
+    // the submit redirect (submit.js) leaves the page; remember it so the landing page's
+    // session-resume can be attributed to the conversion
+    function onFormRedirect(e) {
+      const url = e.detail && e.detail.redirectUrl;
+      let target = url ? String(url) : null;
+      if (target && target.startsWith(location.origin + '/')) target = target.slice(location.origin.length);
+      // thank-you URLs carry user data in query strings, hashes and path segments
+      target = scrubUrl(target);
+      const form = e.target && e.target.closest ? e.target.closest('form') : null;
+      const tags = form ? formTags(form) : {};
+      enqueue(makeEvent('redirect', { ...tags, target }));
+      FXT._session.redirect = { from: pageUrl(), to: target, formId: tags.formId || null };
+      writeSession();
+    }
+
     /* ---------------------------
      * Field Metrics Tracking (Pain Point Analysis)
      * --------------------------- */
-    function initFieldMetrics(fieldPath) {
-      if (!FXT._fieldMetrics[fieldPath]) {
-        FXT._fieldMetrics[fieldPath] = {
+    function initFieldMetrics(formKey, fieldPath, identity) {
+      const bucket = FXT._fieldMetrics[formKey] = FXT._fieldMetrics[formKey] || {};
+      if (!bucket[fieldPath]) {
+        bucket[fieldPath] = {
+          fieldId: identity ? identity.id : null,
+          fieldType: identity ? identity.fieldType : null,
+          qualifiedName: identity ? identity.qualifiedName : null,
+          instances: [],
           focusCount: 0,
-          totalTimeSpent: 0,
+          totalTimeSpent: 0,            // visible time focused; hidden-tab time is excluded
+          activeTimeMs: 0,
+          idleTimeMs: 0,
+          hiddenTimeMs: 0,
+          timeToFirstInputMs: null,     // of the first visit with input
+          keyGaps: [],                  // recent inter-key gaps (ms) for cadence; never the keys
           editCount: 0,
           validationFailures: 0,
-          lastValueLength: 0,
+          hadValue: false,              // for clear detection; the value is never kept
           backspaceCount: 0,
           pasteCount: 0,
           clearCount: 0,
+          ruleValidationFailures: 0,
+          submitBlocks: 0,
+          stepBlocks: 0,
+          fileSelections: 0,
+          fileRejections: 0,
+          fileRemovals: 0,
+          rageClicks: 0,
+          deadClicks: 0,
+          focusThrash: 0,
           lastError: null
         };
       }
-      return FXT._fieldMetrics[fieldPath];
+      const metrics = bucket[fieldPath];
+      // remember which repeat instances of the logical field were touched
+      if (identity && identity.instance !== null && !metrics.instances.includes(identity.instance)) {
+        metrics.instances.push(identity.instance);
+      }
+      return metrics;
     }
     
-    function getFieldMetrics(fieldPath) {
-      return FXT._fieldMetrics[fieldPath] || null;
+    function getFieldMetrics(formKey, fieldPath) {
+      return (FXT._fieldMetrics[formKey] && FXT._fieldMetrics[formKey][fieldPath]) || null;
+    }
+
+    // field metrics, or wizard, accordion, modal or repeat interaction worth a summary
+    function hasFormActivity(record) {
+      return Object.keys(FXT._fieldMetrics[record.key] || {}).length > 0
+        || record.wizards.length > 0
+        || record.accordionTabs.length > 0
+        || record.modals.length > 0
+        || record.repeatPanels.length > 0;
+    }
+
+    function hasFieldMetrics() {
+      return FXT._forms.some(hasFormActivity);
     }
     
-    // Send aggregated field metrics and identify pain points
+    // Send aggregated field metrics and identify pain points, one event per form
     function sendFieldMetricsSummary(reason) {
+      FXT._forms.forEach(record => {
+        if (hasFormActivity(record)) {
+          sendFormMetricsSummary(record, reason);
+        }
+      });
+    }
+
+    /* ---------------------------
+     * Field timing (active, idle, cadence)
+     * --------------------------- */
+    const MAX_KEY_GAPS = 200;         // per field, enough for stable percentiles
+
+    // one focus visit; time with the tab hidden is tracked so it never counts as time on the field
+    function startFocusTiming() {
+      const now = perfNow();
+      FXT._focusTiming = {
+        start: now,
+        hiddenMs: 0,
+        hiddenSince: document.visibilityState === 'hidden' ? now : null,
+        firstInputMs: null,
+        lastKeyAt: null,
+        activeMs: 0,
+        gaps: []
+      };
+    }
+
+    function hiddenMsOf(timing, now) {
+      return timing.hiddenMs + (timing.hiddenSince !== null ? now - timing.hiddenSince : 0);
+    }
+
+    function visibleMsOf(timing, now) {
+      return now - timing.start - hiddenMsOf(timing, now);
+    }
+
+    // keystroke, paste or input event: the visit's first one sets time to first input
+    function noteFieldInput() {
+      const timing = FXT._focusTiming;
+      if (timing && timing.firstInputMs === null) {
+        timing.firstInputMs = Math.round(visibleMsOf(timing, perfNow()));
+      }
+    }
+
+    // gaps up to idleGapMs are typing; longer ones are hesitation and count as idle
+    function noteKeystroke() {
+      const timing = FXT._focusTiming;
+      if (!timing) return;
+      const now = perfNow();
+      noteFieldInput();
+      if (timing.lastKeyAt !== null) {
+        const gap = now - timing.lastKeyAt;
+        timing.gaps.push(gap);
+        if (gap <= FXT._config.idleGapMs) timing.activeMs += gap;
+      }
+      timing.lastKeyAt = now;
+    }
+
+    function onTimingVisibilityChange() {
+      const timing = FXT._focusTiming;
+      if (!timing) return;
+      const now = perfNow();
+      if (document.visibilityState === 'hidden') {
+        if (timing.hiddenSince === null) timing.hiddenSince = now;
+        // a gap spanning a hidden tab is not typing cadence
+        timing.lastKeyAt = null;
+      } else if (timing.hiddenSince !== null) {
+        timing.hiddenMs += now - timing.hiddenSince;
+        timing.hiddenSince = null;
+      }
+    }
+
+    // nearest-rank percentile of sorted gaps
+    function percentile(sorted, p) {
+      if (!sorted.length) return null;
+      return Math.round(sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)]);
+    }
+
+    function keyCadence(gaps) {
+      const sorted = gaps.slice().sort((a, b) => a - b);
+      return { keyGapMedianMs: percentile(sorted, 0.5), keyGapP90Ms: percentile(sorted, 0.9) };
+    }
+
+    // closes the visit: adds it to the field's totals and returns its own split for the blur event
+    function endFocusTiming(metrics) {
+      const timing = FXT._focusTiming;
+      FXT._focusTiming = null;
+      if (!timing) return null;
+      const now = perfNow();
+      const visible = Math.max(0, Math.round(visibleMsOf(timing, now)));
+      const active = Math.min(visible, Math.round(timing.activeMs));
+      const hidden = Math.round(hiddenMsOf(timing, now));
+      if (metrics) {
+        metrics.totalTimeSpent += visible;
+        metrics.activeTimeMs += active;
+        metrics.idleTimeMs += visible - active;
+        metrics.hiddenTimeMs += hidden;
+        if (metrics.timeToFirstInputMs === null) metrics.timeToFirstInputMs = timing.firstInputMs;
+        metrics.keyGaps = metrics.keyGaps.concat(timing.gaps).slice(-MAX_KEY_GAPS);
+      }
+      return {
+        timeSpentMs: visible,
+        activeTimeMs: active,
+        idleTimeMs: visible - active,
+        hiddenTimeMs: hidden,
+        timeToFirstInputMs: timing.firstInputMs,
+        ...keyCadence(timing.gaps)
+      };
+    }
+
+    /* ---------------------------
+     * Pain-point rules
+     * --------------------------- */
+    const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+    const MAX_RULE_FACTOR = 3;        // one extreme metric must not dominate the score
+  
+    // config rules replace defaults with the same id and add new ones; { id, disabled: true }
+    // switches a default off
+    function configuredRules() {
+      const rules = DEFAULT_PAIN_POINT_RULES.map(rule => ({ ...rule }));
+      (FXT._config.painPointRules || []).forEach(custom => {
+        if (!custom || !custom.id) return;
+        const index = rules.findIndex(rule => rule.id === custom.id);
+        if (index >= 0) rules[index] = { ...rules[index], ...custom };
+        else rules.push({ weight: 1, severity: 'medium', ...custom });
+      });
+      return rules.filter(rule => !rule.disabled && rule.metric && typeof rule.threshold === 'number');
+    }
+  
+    function ruleAttribute(prefix, id) {
+      // excessiveTimeSpent -> data-fxt-threshold-excessive-time-spent -> dataset.fxtThresholdExcessiveTimeSpent
+      return prefix + id.charAt(0).toUpperCase() + id.slice(1);
+    }
+  
+    function numberAttribute(value, fallback) {
+      return value !== undefined && value !== '' && !isNaN(value) ? Number(value) : fallback;
+    }
+  
+    function rulesForField(record, metrics) {
+      const rules = configuredRules();
+      const wrapper = metrics.fieldId
+        && [...record.form.querySelectorAll('[data-id]')].find(el => el.dataset.id === metrics.fieldId);
+      if (!wrapper) return rules;
+      return rules.map(rule => {
+        const threshold = wrapper.dataset[ruleAttribute('fxtThreshold', rule.id)];
+        if (threshold === 'off') return null;
+        return {
+          ...rule,
+          threshold: numberAttribute(threshold, rule.threshold),
+          weight: numberAttribute(wrapper.dataset[ruleAttribute('fxtWeight', rule.id)], rule.weight)
+        };
+      }).filter(Boolean);
+    }
+  
+    function evaluatePainPoints(summary, rules) {
+      const fired = [];
+      const reasons = {};
+      let frictionScore = 0;
+      let severity = null;
+      rules.forEach(rule => {
+        const value = summary[rule.metric];
+        reasons[rule.id] = typeof value === 'number' && value > rule.threshold;
+        if (!reasons[rule.id]) return;
+        const factor = rule.threshold > 0 ? Math.min(value / rule.threshold, MAX_RULE_FACTOR) : MAX_RULE_FACTOR;
+        frictionScore += rule.weight * factor;
+        if (!severity || SEVERITY_RANK[rule.severity] > SEVERITY_RANK[severity]) severity = rule.severity;
+        fired.push({
+          id: rule.id,
+          metric: rule.metric,
+          value,
+          threshold: rule.threshold,
+          weight: rule.weight,
+          severity: rule.severity
+        });
+      });
+      return { fired, reasons, severity, frictionScore: Math.round(frictionScore * 100) / 100 };
+    }
+  
+    // the form's field metrics, pain points and interaction summaries so far; sent as
+    // field-analytics, and as the pre-reset snapshot of form-reset
+    function formMetricsSnapshot(record) {
       // Calculate drop-off point (last focused field)
-      const dropOffField = FXT._currentFocusedField;
+      const dropOffField = FXT._currentFocusedForm === record.key ? FXT._currentFocusedField : null;
       
       // Identify pain points (fields with high struggle indicators)
       const painPoints = [];
       const fieldSummaries = [];
       
-      for (const [fieldPath, metrics] of Object.entries(FXT._fieldMetrics)) {
+      for (const [fieldPath, metrics] of Object.entries(FXT._fieldMetrics[record.key] || {})) {
         const summary = {
           field: fieldPath,
+          fieldType: metrics.fieldType,
+          instanceCount: metrics.instances.length,
           focusCount: metrics.focusCount,
           totalTimeSpentMs: metrics.totalTimeSpent,
+          activeTimeMs: metrics.activeTimeMs,
+          idleTimeMs: metrics.idleTimeMs,
+          timeToFirstInputMs: metrics.timeToFirstInputMs,
+          ...keyCadence(metrics.keyGaps),
           editCount: metrics.editCount,
           validationFailures: metrics.validationFailures,
+          ruleValidationFailures: metrics.ruleValidationFailures,
           backspaceCount: metrics.backspaceCount,
           pasteCount: metrics.pasteCount,
-          clearCount: metrics.clearCount
+          clearCount: metrics.clearCount,
+          submitBlocks: metrics.submitBlocks,
+          stepBlocks: metrics.stepBlocks,
+          fileSelections: metrics.fileSelections,
+          fileRejections: metrics.fileRejections,
+          fileRemovals: metrics.fileRemovals,
+          rageClicks: metrics.rageClicks,
+          deadClicks: metrics.deadClicks,
+          focusThrash: metrics.focusThrash
         };
         
+        const evaluation = evaluatePainPoints(summary, rulesForField(record, metrics));
+        summary.frictionScore = evaluation.frictionScore;
         fieldSummaries.push(summary);
         
-        // Pain point heuristics
-        const isPainPoint = 
-          metrics.validationFailures > 2 || // Repeated validation failures
-          metrics.totalTimeSpent > 30000 || // More than 30 seconds
-          metrics.focusCount > 3 || // Returned to field multiple times
-          metrics.editCount > 5 || // Many edits/corrections
-          metrics.clearCount > 1; // Cleared field multiple times
-        
-        if (isPainPoint) {
+        if (evaluation.fired.length) {
           painPoints.push({
             field: fieldPath,
-            reasons: {
-              repeatedValidationFailures: metrics.validationFailures > 2,
-              excessiveTimeSpent: metrics.totalTimeSpent > 30000,
-              multipleReturns: metrics.focusCount > 3,
-              manyEdits: metrics.editCount > 5,
-              multipleClears: metrics.clearCount > 1
-            },
+            severity: evaluation.severity,
+            frictionScore: evaluation.frictionScore,
+            rules: evaluation.fired,
+            reasons: evaluation.reasons,
             metrics: summary
           });
         }
       }
-      
-      // Send comprehensive field analytics event
-      enqueue(makeEvent('field-analytics', {
-        reason: reason,
+      painPoints.sort((a, b) => b.frictionScore - a.frictionScore);
+
+      return {
         dropOffField: dropOffField,
+        formAttempt: record.formAttempt,
+        submitAttempts: record.submitAttempts,
+        submitOutcome: record.submitOutcome,
+        wizards: wizardFunnels(record),
+        accordionPanels: accordionSummaries(record),
+        modals: modalSummaries(record),
+        repeatablePanels: repeatPanelSummaries(record),
         totalFieldsInteracted: fieldSummaries.length,
         painPoints: painPoints,
         painPointCount: painPoints.length,
         allFieldMetrics: fieldSummaries
-      }));
-      
-      logDebug('Field analytics:', painPoints.length, 'pain points detected');
+      };
+    }
+
+    function sendFormMetricsSummary(record, reason) {
+      const snapshot = formMetricsSnapshot(record);
+      // Send comprehensive field analytics event
+      enqueue(makeEvent('field-analytics', { ...formTags(record.form), reason: reason, ...snapshot }));
+      logDebug('Field analytics:', record.key, snapshot.painPointCount, 'pain points detected');
+    }
+
+    /* ---------------------------
+     * Form discovery (multi-form)
+     * --------------------------- */
+
+    // data attributes the form block decorator sets on the <form> (blocks/form/form.js)
+    function formTags(form) {
+      const data = (form && form.dataset) || {};
+      return {
+        formId: data.id || null,
+        formPath: data.formpath || null,
+        formSource: data.source || null
+      };
+    }
+
+    function recordForForm(form) {
+      return FXT._forms.find(record => record.form === form) || null;
+    }
+
+    // per-attempt state of a form record; a reset starts over with a fresh copy
+    function attemptState() {
+      return {
+        mutationBuffer: [],
+        mutationTimer: null,
+        observer: null,
+        submitAttempts: 0,
+        submitStartedAt: null,
+        submitOutcome: null,        // 'blocked' | 'success' | 'failure' of the latest attempt
+        discoveredAt: perfNow(),    // the form was found, or replaced by a reset
+        wizards: [],                // wizard step state, see wizardFor()
+        accordionTabs: [],          // see accordionTabFor()
+        modals: [],                 // see modalFor()
+        repeatPanels: [],           // see repeatPanelFor()
+        recentClicks: [],           // { x, y, t } within rageClickWindowMs
+        focusHistory: []            // { field, t } of the latest focus visits, for thrash
+      };
+    }
+
+    // runs setup with the cleanups it registers kept on the record instead, so a replaced
+    // form can be released on its own
+    function withFormCleanups(record, setup) {
+      const start = FXT._cleanups.length;
+      setup();
+      record.cleanups.push(...FXT._cleanups.splice(start));
+    }
+
+    // listeners, the mutation observer and plugin hooks on the <form> element
+    function bindForm(form, record) {
+      withFormCleanups(record, () => {
+        watchPasswordFields(form);
+        attachFormListeners(form, record);
+        attachSubmitListeners(form, record);
+        attachWizardListeners(form, record);
+        attachDisclosureListeners(form, record);
+        attachRepeatListeners(form, record);
+        attachFileListeners(form, record);
+        notifyPlugins('onForm', form);
+      });
+    }
+
+    function releaseForm(record) {
+      runCleanups(record.cleanups);
+      record.model = null;
+    }
+
+    // attach listeners, a mutation observer and a metrics bucket to a form, once
+    function instrumentForm(form) {
+      if (recordForForm(form)) return;
+      const tags = formTags(form);
+      let key = tags.formId || tags.formPath || form.dataset.action || 'form';
+      // the same form embedded twice still gets two buckets
+      if (FXT._forms.some(record => record.key === key)) key += `-${FXT._forms.length}`;
+      const record = {
+        form,
+        key,
+        model: null,
+        cleanups: [],               // see bindForm()
+        formAttempt: 1,             // goes up each time a reset replaces the form
+        ...attemptState()
+      };
+      FXT._forms.push(record);
+      FXT._fieldMetrics[key] = {};
+      bindForm(form, record);
+      onCleanup(() => releaseForm(record));
+      // the rule engine may have restored the model before FXT loaded
+      if (form.formModel) attachModel(record, form.formModel);
+      enqueue(makeEvent('form-discovered', {
+        ...tags,
+        fieldCount: form.querySelectorAll('.field-wrapper').length
+      }));
+      logDebug('instrumented form', key);
+    }
+
+    // blocks/form/form.js rebuilds the form on reset and announces the new <form> with
+    // form:replaced; the record (key, session) moves over and a new attempt starts
+    function onFormReplaced(e) {
+      const form = e.target;
+      const record = recordForForm(e.detail && e.detail.previous);
+      if (!record || recordForForm(form) || !form.matches || !form.matches(FXT._config.formSelector)) return;
+      // the new form is bound whatever the consent, so a later grant finds it instrumented
+      const snapshot = isAllowed('analytics') ? formMetricsSnapshot(record) : null;
+      const endedAttempt = record.formAttempt;
+      const attemptDurationMs = Math.round(perfNow() - record.discoveredAt);
+      if (FXT._currentFocusedForm === record.key) {
+        FXT._currentFocusedForm = null;
+        FXT._currentFocusedField = null;
+        FXT._focusTiming = null;
+      }
+      releaseForm(record);
+      Object.assign(record, attemptState(), { form, formAttempt: endedAttempt + 1 });
+      FXT._fieldMetrics[record.key] = {};
+      bindForm(form, record);
+      if (form.formModel) attachModel(record, form.formModel);
+      if (snapshot) {
+        enqueue(makeEvent('form-reset', {
+          ...formTags(form),
+          formAttempt: endedAttempt,
+          nextAttempt: record.formAttempt,
+          attemptDurationMs,
+          snapshot
+        }));
+      }
+      noteTimeline('reset', record, { formAttempt: record.formAttempt });
+      logDebug('form replaced', record.key, 'attempt', record.formAttempt);
+    }
+
+    function discoverForms(root) {
+      const selector = FXT._config.formSelector;
+      if (root.matches && root.matches(selector)) instrumentForm(root);
+      if (root.querySelectorAll) root.querySelectorAll(selector).forEach(instrumentForm);
+    }
+
+    // form blocks, embeds and fragments decorate lazily and the worker-based renderer
+    // inserts its <form> late, so keep watching the document for new forms
+    function watchForForms() {
+      discoverForms(document);
+      if (!global.MutationObserver) return;
+      const mo = new MutationObserver(mutations => {
+        for (const m of mutations) {
+          m.addedNodes && m.addedNodes.forEach(n => {
+            if (n.nodeType === 1) discoverForms(n);
+          });
+        }
+      });
+      mo.observe(document.documentElement, { childList: true, subtree: true });
+      FXT._discoveryObserver = mo;
+      onCleanup(() => mo.disconnect());
+    }
+
+    /* ---------------------------
+     * Adaptive Form model adapter
+     * --------------------------- */
+
+    // loadRuleEngine (blocks/form/rules/index.js) dispatches form:model-ready on the
+    // <form> in both the worker and non-worker paths, once the main-thread model exists
+    function onModelReady(e) {
+      const form = e.target;
+      if (!form || !form.matches || !form.matches(FXT._config.formSelector)) return;
+      instrumentForm(form);
+      attachModel(recordForForm(form), e.detail && e.detail.formModel);
+    }
+
+    function attachModel(record, model) {
+      if (!record || !model || typeof model.subscribe !== 'function' || record.model === model) return;
+      record.model = model;
+      const subscription = model.subscribe(e => {
+        // rule-driven changes feed field metrics, so they wait on analytics consent too
+        if (!isAllowed('analytics')) return;
+        try {
+          onModelFieldChanged(record, e && e.payload);
+        } catch (err) { /* ignore */ }
+      }, 'fieldChanged');
+      if (subscription && typeof subscription.unsubscribe === 'function') {
+        record.cleanups.push(() => subscription.unsubscribe());
+      }
+      logDebug('model attached', record.key);
+    }
+
+    function onModelFieldChanged(record, payload) {
+      if (!payload || !payload.field || !Array.isArray(payload.changes)) return;
+      const state = payload.field;
+      const identity = modelFieldIdentity(state);
+      const base = {
+        ...formTags(record.form),
+        ...identityInfo(identity),
+        eventSource: payload.eventSource || null
+      };
+      payload.changes.forEach(change => {
+        const { propertyName, currentValue, prevValue } = change;
+        switch (propertyName) {
+          // rule-driven show/hide and enable/disable
+          case 'visible':
+          case 'enabled':
+            enqueue(makeEvent('model-change', {
+              ...base,
+              property: propertyName,
+              value: currentValue,
+              prevValue
+            }));
+            break;
+          // validation outcome, including expressionMismatch / customConstraint that the
+          // DOM validity API never reports; messages are authored text, not user input
+          case 'valid': {
+            const validity = state.validity || {};
+            const info = {
+              ...base,
+              valid: currentValue === true,
+              validity: {
+                expressionMismatch: !!validity.expressionMismatch,
+                customConstraint: !!validity.customConstraint,
+                valueMissing: !!validity.valueMissing,
+                typeMismatch: !!validity.typeMismatch,
+                patternMismatch: !!validity.patternMismatch
+              },
+              message: currentValue === true ? null : String(state.validationMessage || '').slice(0, 300) || null
+            };
+            if (!info.valid && (validity.expressionMismatch || validity.customConstraint)) {
+              const metrics = initFieldMetrics(record.key, identity.key, identity);
+              metrics.ruleValidationFailures++;
+              info.ruleValidationFailures = metrics.ruleValidationFailures;
+            }
+            enqueue(makeEvent('model-validation', info));
+            noteTimeline('validation', record, {
+              field: identity.key,
+              instance: identity.instance,
+              valid: info.valid,
+              reason: info.valid ? null : validityReason(validity),
+              source: 'model'
+            });
+            break;
+          }
+          // repeatable panel instances added/removed through the model
+          case 'items': {
+            const item = currentValue || prevValue || {};
+            enqueue(makeEvent('model-items', {
+              ...base,
+              action: currentValue ? 'added' : 'removed',
+              itemId: item.id || null,
+              itemQualifiedName: item.qualifiedName || null,
+              itemIndex: typeof item.index === 'number' ? item.index : null,
+              instanceCount: Array.isArray(state.items) ? state.items.length : null,
+              minOccur: typeof state.minOccur === 'number' ? state.minOccur : null,
+              maxOccur: typeof state.maxOccur === 'number' ? state.maxOccur : null
+            }));
+            break;
+          }
+          default:
+            break;
+        }
+      });
+    }
+
+    /* ---------------------------
+     * Submit funnel
+     * --------------------------- */
+    const MAX_BLOCKED_FIELDS = 20;
+
+    // invalid fields that stopped a submit or a wizard step; `counter` is the per-field
+    // metric bumped for each (submitBlocks, stepBlocks)
+    function describeInvalidFields(record, elements, counter) {
+      const invalidFields = [];
+      (elements || []).forEach(el => {
+        const info = fieldInfo(el);
+        // radio/checkbox groups report one invalid input per option
+        if (invalidFields.some(f => f.field === info.field) || invalidFields.length >= MAX_BLOCKED_FIELDS) return;
+        const metrics = initFieldMetrics(record.key, info.field, fieldIdentity(el));
+        metrics[counter]++;
+        invalidFields.push({
+          field: info.field,
+          fieldId: info.fieldId,
+          fieldType: info.fieldType,
+          instance: info.instance,
+          validity: el.validity ? {
+            valueMissing: !!el.validity.valueMissing,
+            patternMismatch: !!el.validity.patternMismatch,
+            typeMismatch: !!el.validity.typeMismatch,
+            tooShort: !!el.validity.tooShort,
+            tooLong: !!el.validity.tooLong,
+            rangeUnderflow: !!el.validity.rangeUnderflow,
+            rangeOverflow: !!el.validity.rangeOverflow,
+            customError: !!el.validity.customError
+          } : null,
+          [counter]: metrics[counter]
+        });
+      });
+      return invalidFields;
+    }
+
+    // submit.js announces submit:attempt / submit:blocked / submit:success / submit:failure
+    // on the form, for both doc-based and rule-engine (AF) submits
+    function attachSubmitListeners(form, record) {
+      function emit(type, info) {
+        enqueue(makeEvent(type, {
+          ...formTags(form),
+          formAttempt: record.formAttempt,
+          attempt: record.submitAttempts,
+          ...info
+        }));
+        noteTimeline('submit', record, {
+          outcome: type.slice('submit-'.length),
+          attempt: record.submitAttempts,
+          invalidFields: info.invalidFields ? info.invalidFields.map(f => f.field) : null,
+          status: info.status
+        });
+      }
+
+      function latency() {
+        return record.submitStartedAt === null ? null : Math.round(perfNow() - record.submitStartedAt);
+      }
+
+      listen(form, 'submit:attempt', whenAllowed('analytics', e => {
+        record.submitAttempts++;
+        record.submitStartedAt = perfNow();
+        emit('submit-attempt', {
+          source: e.detail && e.detail.source,
+          // fields touched before submitting; the rest were skipped
+          fieldsInteracted: Object.keys(FXT._fieldMetrics[record.key] || {}).length
+        });
+      }));
+
+      // client-side validation stopped the submit; no request was made
+      listen(form, 'submit:blocked', whenAllowed('analytics', e => {
+        const detail = e.detail || {};
+        const invalidFields = describeInvalidFields(record, detail.invalidElements, 'submitBlocks');
+        record.submitOutcome = 'blocked';
+        record.submitStartedAt = null;
+        emit('submit-blocked', {
+          invalidFieldCount: invalidFields.length,
+          invalidFields,
+          focusedField: detail.focusedElement ? fieldInfo(detail.focusedElement).field : null
+        });
+      }));
+
+      listen(form, 'submit:success', whenAllowed('analytics', e => {
+        record.submitOutcome = 'success';
+        emit('submit-success', { status: e.detail ? e.detail.status : null, latencyMs: latency() });
+        record.submitStartedAt = null;
+      }));
+
+      listen(form, 'submit:failure', whenAllowed('analytics', e => {
+        const detail = e.detail || {};
+        record.submitOutcome = 'failure';
+        emit('submit-failure', { status: detail.status, reason: detail.reason || null, latencyMs: latency() });
+        record.submitStartedAt = null;
+      }));
+    }
+
+    /* ---------------------------
+     * Wizard steps
+     * --------------------------- */
+
+    function wizardStepElements(panel) {
+      return [...panel.children].filter(child => child.tagName === 'FIELDSET');
+    }
+
+    // per-wizard state, created on first sight: the user has been on `step` (by default the
+    // current step in the DOM) since the form was discovered
+    function wizardFor(record, panel, step) {
+      let wizard = record.wizards.find(w => w.panel === panel);
+      if (wizard) return wizard;
+      wizard = {
+        panel,
+        id: panel.dataset.id || panel.id || null,
+        current: null,              // index of the step the user is on
+        enteredAt: record.discoveredAt,
+        steps: {},                  // by index: { id, visits, timeMs, blocks }
+        navigations: { next: 0, back: 0, jump: 0 },
+        blocked: 0
+      };
+      record.wizards.push(wizard);
+      let current = step;
+      if (!current) {
+        const el = panel.querySelector(':scope > .current-wizard-step') || wizardStepElements(panel)[0];
+        current = el ? { id: el.id, index: +el.dataset.index } : null;
+      }
+      if (current) {
+        wizardStep(wizard, current).visits++;
+        wizard.current = current.index;
+      }
+      return wizard;
+    }
+
+    function wizardStep(wizard, step) {
+      if (!wizard.steps[step.index]) {
+        wizard.steps[step.index] = { id: step.id || null, visits: 0, timeMs: 0, blocks: 0 };
+      }
+      return wizard.steps[step.index];
+    }
+
+    function timeInCurrentStep(wizard) {
+      return wizard.current === null ? 0 : Math.round(perfNow() - wizard.enteredAt);
+    }
+
+    // step-level funnel for field-analytics: every step of the wizard in order, whether
+    // it was reached, and the time and blocked Next clicks on it
+    function wizardFunnel(wizard) {
+      let furthestStep = null;
+      const steps = wizardStepElements(wizard.panel).map(el => {
+        const index = +el.dataset.index;
+        const state = wizard.steps[index] || { visits: 0, timeMs: 0, blocks: 0 };
+        if (state.visits && (furthestStep === null || index > furthestStep)) furthestStep = index;
+        return {
+          step: el.id || null,
+          index,
+          visible: el.dataset.visible !== 'false',
+          reached: state.visits > 0,
+          visits: state.visits,
+          timeMs: state.timeMs + (index === wizard.current ? timeInCurrentStep(wizard) : 0),
+          blocks: state.blocks
+        };
+      });
+      return {
+        wizard: wizard.id,
+        stepCount: steps.length,
+        currentStep: wizard.current,
+        furthestStep,
+        navigations: { ...wizard.navigations },
+        blocked: wizard.blocked,
+        steps
+      };
+    }
+
+    // wizards the user navigated or was blocked on; untouched ones would make every form
+    // with a wizard look active
+    function wizardFunnels(record) {
+      return record.wizards.map(wizardFunnel);
+    }
+
+    // blocks/form/components/wizard/wizard.js dispatches wizard:navigate (Next, Back and
+    // menu or rule-driven jumps) and wizard:blocked (Next stopped by validateContainer) on
+    // the wizard panel; they do not bubble, so listen in the capture phase
+    function attachWizardListeners(form, record) {
+      listen(form, 'wizard:navigate', whenAllowed('analytics', e => {
+        const detail = e.detail || {};
+        if (!detail.prevStep || !detail.currStep) return;
+        // the DOM already shows the new step
+        const wizard = wizardFor(record, e.target, detail.prevStep);
+        const trigger = detail.trigger || null;
+        const timeInStepMs = timeInCurrentStep(wizard);
+        if (wizard.current !== null) wizardStep(wizard, { index: wizard.current }).timeMs += timeInStepMs;
+        wizardStep(wizard, detail.currStep).visits++;
+        wizard.current = detail.currStep.index;
+        wizard.enteredAt = perfNow();
+        if (trigger in wizard.navigations) wizard.navigations[trigger]++;
+        enqueue(makeEvent('step-transition', {
+          ...formTags(form),
+          wizard: wizard.id,
+          fromStep: detail.prevStep.index,
+          toStep: detail.currStep.index,
+          fromStepId: detail.prevStep.id || null,
+          toStepId: detail.currStep.id || null,
+          trigger,
+          // jumps may skip steps in either direction
+          skippedSteps: Math.max(0, Math.abs(detail.currStep.index - detail.prevStep.index) - 1),
+          timeInStepMs
+        }));
+        noteTimeline('step', record, {
+          wizard: wizard.id,
+          fromStep: detail.prevStep.index,
+          toStep: detail.currStep.index,
+          trigger
+        });
+      }), true);
+
+      listen(form, 'wizard:blocked', whenAllowed('analytics', e => {
+        const detail = e.detail || {};
+        if (!detail.step) return;
+        const wizard = wizardFor(record, e.target, detail.step);
+        const step = wizardStep(wizard, detail.step);
+        step.blocks++;
+        wizard.blocked++;
+        const invalidFields = describeInvalidFields(record, detail.invalidElements, 'stepBlocks');
+        enqueue(makeEvent('step-blocked', {
+          ...formTags(form),
+          wizard: wizard.id,
+          step: detail.step.index,
+          stepId: detail.step.id || null,
+          blocks: step.blocks,
+          invalidFieldCount: invalidFields.length,
+          invalidFields
+        }));
+        noteTimeline('step-blocked', record, {
+          wizard: wizard.id,
+          step: detail.step.index,
+          invalidFields: invalidFields.map(f => f.field)
+        });
+      }), true);
+    }
+
+    /* ---------------------------
+     * Accordions and modals
+     * --------------------------- */
+
+    function openTime(state) {
+      return state.openedAt === null ? 0 : Math.round(perfNow() - state.openedAt);
+    }
+
+    // per-tab state, created on first sight: a tab that was open then has been open
+    // since the form was discovered (the accordion opens its first tab on load)
+    function accordionTabFor(record, tab, wasOpen) {
+      let state = record.accordionTabs.find(s => s.tab === tab);
+      if (state) return state;
+      state = { tab, expands: 0, timeMs: 0, openedAt: wasOpen ? record.discoveredAt : null };
+      record.accordionTabs.push(state);
+      return state;
+    }
+
+    function modalFor(record, panel) {
+      let state = record.modals.find(s => s.panel === panel);
+      if (state) return state;
+      state = { panel, opens: 0, dismissals: {}, timeMs: 0, openedAt: null };
+      record.modals.push(state);
+      return state;
+    }
+
+    // accordion tabs that were opened or closed
+    function accordionSummaries(record) {
+      return record.accordionTabs.map(state => ({
+        field: fieldIdentity(state.tab).key,
+        index: +state.tab.dataset.index,
+        open: state.openedAt !== null,
+        expands: state.expands,
+        timeOpenMs: state.timeMs + openTime(state)
+      }));
+    }
+
+    function modalSummaries(record) {
+      return record.modals.map(state => ({
+        field: fieldIdentity(state.panel).key,
+        opens: state.opens,
+        timeOpenMs: state.timeMs + openTime(state),
+        dismissals: { ...state.dismissals }
+      }));
+    }
+
+    // blocks/form/components/accordion dispatches accordion:toggle on each tab that opened
+    // or closed; blocks/form/components/modal dispatches modal:open and modal:close (with
+    // the dismiss method: close-button, backdrop, escape or programmatic) on the panel
+    function attachDisclosureListeners(form, record) {
+      listen(form, 'accordion:toggle', whenAllowed('analytics', e => {
+        const tab = e.target;
+        const expanded = !!(e.detail && e.detail.expanded);
+        // the DOM already shows the new state
+        const state = accordionTabFor(record, tab, !expanded);
+        const info = {
+          ...formTags(form),
+          ...identityInfo(fieldIdentity(tab)),
+          index: +tab.dataset.index
+        };
+        if (expanded) {
+          state.expands++;
+          state.openedAt = perfNow();
+          info.expands = state.expands;
+        } else {
+          info.timeOpenMs = openTime(state);
+          state.timeMs += info.timeOpenMs;
+          state.openedAt = null;
+        }
+        enqueue(makeEvent(expanded ? 'panel-expand' : 'panel-collapse', info));
+      }));
+
+      listen(form, 'modal:open', whenAllowed('analytics', e => {
+        const state = modalFor(record, e.target);
+        state.opens++;
+        state.openedAt = perfNow();
+        enqueue(makeEvent('modal-open', {
+          ...formTags(form),
+          ...identityInfo(fieldIdentity(e.target)),
+          opens: state.opens
+        }));
+      }));
+
+      listen(form, 'modal:close', whenAllowed('analytics', e => {
+        const state = modalFor(record, e.target);
+        const method = (e.detail && e.detail.method) || 'programmatic';
+        const timeOpenMs = openTime(state);
+        state.timeMs += timeOpenMs;
+        state.openedAt = null;
+        state.dismissals[method] = (state.dismissals[method] || 0) + 1;
+        enqueue(makeEvent('modal-dismiss', {
+          ...formTags(form),
+          ...identityInfo(fieldIdentity(e.target)),
+          method,
+          timeOpenMs
+        }));
+      }));
+    }
+
+    /* ---------------------------
+     * Repeatable panels
+     * --------------------------- */
+    const REPEAT_INSTANCE = '[data-repeatable="true"]';
+
+    // per repeat wrapper state; the panel is named after its instances, so the identity
+    // is taken while one exists (a wrapper seen empty falls back to a selector)
+    function repeatPanelFor(record, wrapper) {
+      let panel = record.repeatPanels.find(p => p.wrapper === wrapper);
+      if (panel) return panel;
+      const instance = wrapper.querySelector(REPEAT_INSTANCE);
+      panel = {
+        wrapper,
+        info: instance
+          ? { ...identityInfo(fieldIdentity(instance)), instance: null }
+          : { field: null, selector: cssPath(wrapper) },
+        added: 0,
+        removed: 0,
+        partialRemovals: 0,
+        limitHits: { min: 0, max: 0 },
+        pendingRemoval: null          // the instance a remove button is removing, see repeat:remove
+      };
+      record.repeatPanels.push(panel);
+      return panel;
+    }
+
+    // fields of an instance with a value; excluded fields are never read and not counted
+    function filledFieldCount(instance) {
+      let filled = 0;
+      let total = 0;
+      instance.querySelectorAll('input, select, textarea').forEach(el => {
+        if (el.type === 'button' || el.type === 'submit' || el.type === 'hidden') return;
+        const hasValue = el.type === 'checkbox' || el.type === 'radio'
+          ? el.checked
+          : summaryHasValue(valueSummaryForElement(el));
+        if (hasValue === null) return;
+        total++;
+        if (hasValue) filled++;
+      });
+      return { filled, total };
+    }
+
+    // field metrics of the panel's fields, already rolled up across instances by logical key
+    function repeatPanelRollup(record, panel) {
+      const totals = { focusCount: 0, totalTimeSpentMs: 0, editCount: 0, validationFailures: 0 };
+      const instancesTouched = [];
+      let fields = 0;
+      if (panel.info.field) {
+        const prefix = panel.info.field + '.';
+        Object.entries(FXT._fieldMetrics[record.key] || {}).forEach(([key, metrics]) => {
+          if (key.indexOf(prefix) !== 0) return;
+          fields++;
+          totals.focusCount += metrics.focusCount;
+          totals.totalTimeSpentMs += metrics.totalTimeSpent;
+          totals.editCount += metrics.editCount;
+          totals.validationFailures += metrics.validationFailures;
+          metrics.instances.forEach(i => { if (!instancesTouched.includes(i)) instancesTouched.push(i); });
+        });
+      }
+      return { fields, totals, instancesTouched: instancesTouched.sort((a, b) => a - b) };
+    }
+
+    // repeatable panels with instances added, removed or at a limit
+    function repeatPanelSummaries(record) {
+      return record.repeatPanels.map(panel => ({
+        field: panel.info.field,
+        instanceCount: panel.wrapper.querySelectorAll(REPEAT_INSTANCE).length,
+        added: panel.added,
+        removed: panel.removed,
+        partialRemovals: panel.partialRemovals,
+        limitHits: { ...panel.limitHits },
+        ...repeatPanelRollup(record, panel)
+      }));
+    }
+
+    // blocks/form/components/repeat dispatches repeat:remove on an instance before its
+    // remove button takes it away, and repeat:change on the wrapper once the instance
+    // count changed (doc-based immediately, AF after the model re-renders)
+    function attachRepeatListeners(form, record) {
+      listen(form, 'repeat:remove', whenAllowed('analytics', e => {
+        const instance = e.target;
+        const wrapper = instance.closest('.repeat-wrapper');
+        if (!wrapper) return;
+        const counts = filledFieldCount(instance);
+        repeatPanelFor(record, wrapper).pendingRemoval = {
+          index: e.detail ? e.detail.index : null,
+          filledFields: counts.filled,
+          fieldCount: counts.total
+        };
+      }));
+
+      listen(form, 'repeat:change', whenAllowed('analytics', e => {
+        const detail = e.detail || {};
+        const panel = repeatPanelFor(record, e.target);
+        const added = detail.count > detail.prevCount;
+        const info = {
+          ...formTags(form),
+          ...panel.info,
+          instanceCount: detail.count,
+          prevCount: detail.prevCount,
+          minOccur: detail.min,
+          maxOccur: detail.max === -1 ? null : detail.max
+        };
+        if (added) {
+          panel.added++;
+        } else {
+          panel.removed++;
+          // null when a rule removed the instance rather than its remove button
+          const removal = panel.pendingRemoval;
+          panel.pendingRemoval = null;
+          info.removedIndex = removal ? removal.index : null;
+          info.filledFields = removal ? removal.filledFields : null;
+          info.partiallyFilled = removal ? removal.filledFields > 0 : null;
+          if (info.partiallyFilled) panel.partialRemovals++;
+        }
+        enqueue(makeEvent(added ? 'instance-added' : 'instance-removed', info));
+
+        // the add / remove button is hidden from here on
+        let limit = null;
+        if (added && detail.max !== -1 && detail.count >= detail.max) limit = 'max';
+        if (!added && detail.count <= detail.min) limit = 'min';
+        if (limit) {
+          panel.limitHits[limit]++;
+          enqueue(makeEvent('repeat-limit', {
+            ...formTags(form),
+            ...panel.info,
+            limit,
+            instanceCount: detail.count,
+            minOccur: info.minOccur,
+            maxOccur: info.maxOccur
+          }));
+        }
+      }));
+    }
+
+    /* ---------------------------
+     * File uploads
+     * --------------------------- */
+    const KB = 1024;
+    const FILE_SIZE_BUCKETS = [[100 * KB, '<100KB'], [KB * KB, '100KB-1MB'], [5 * KB * KB, '1-5MB'], [10 * KB * KB, '5-10MB']];
+
+    function fileSizeBucket(size) {
+      if (typeof size !== 'number') return null;
+      const bucket = FILE_SIZE_BUCKETS.find(([max]) => size < max);
+      return bucket ? bucket[1] : '10MB+';
+    }
+
+    // top-level media type; PDFs are called out since most claim documents are PDFs
+    function mimeFamily(type) {
+      if (!type || typeof type !== 'string') return 'unknown';
+      if (type === 'application/pdf') return 'pdf';
+      return type.split('/')[0].toLowerCase() || 'unknown';
+    }
+
+    // size bucket and MIME family only: names, exact sizes and contents are never read
+    function describeFiles(files) {
+      return Array.from(files || []).filter(Boolean).map(file => ({
+        sizeBucket: fileSizeBucket(file.size),
+        mimeFamily: mimeFamily(file.type)
+      }));
+    }
+
+    // blocks/form/components/file dispatches file:attach (source: picker, drop, paste or
+    // prefill) and file:remove on the input after fileValidation, with the violated
+    // constraint (accept, maxFileSize, maxItems, minItems) or null
+    function attachFileListeners(form, record) {
+      function onFileEvent(type, e) {
+        const el = e.target;
+        const detail = e.detail || {};
+        const field = fieldInfo(el);
+        const metrics = initFieldMetrics(record.key, field.field, fieldIdentity(el));
+        const files = describeFiles(detail.files);
+        const constraint = detail.constraint || null;
+        const info = {
+          ...formTags(form),
+          ...field,
+          count: files.length,
+          files,
+          fileCount: typeof detail.fileCount === 'number' ? detail.fileCount : null,
+          rejected: !!constraint,
+          constraint
+        };
+        if (type === 'file-selected') {
+          metrics.fileSelections++;
+          info.source = detail.source || null;
+        } else {
+          metrics.fileRemovals++;
+        }
+        if (constraint) metrics.fileRejections++;
+        info.fileRejections = metrics.fileRejections;
+        enqueue(makeEvent(type, info));
+      }
+
+      listen(form, 'file:attach', whenAllowed('analytics', e => onFileEvent('file-selected', e)));
+      listen(form, 'file:remove', whenAllowed('analytics', e => onFileEvent('file-removed', e)));
+    }
+
+    /* ---------------------------
+     * Interaction timeline (journey replay)
+     * --------------------------- */
+    // an ordered record of the path through the form: fields entered and left, validation
+    // outcomes, step changes, submits and resets. Entries hold field keys and outcomes only,
+    // never values or DOM; `seq` runs per session (kept in the session record across pages)
+    // so the collector can order and deduplicate them
+    const VALIDITY_FLAGS = [
+      'valueMissing', 'typeMismatch', 'patternMismatch', 'tooShort', 'tooLong', 'rangeUnderflow',
+      'rangeOverflow', 'stepMismatch', 'badInput', 'expressionMismatch', 'customConstraint', 'customError'
+    ];
+
+    // the first failing constraint, by name
+    function validityReason(validity) {
+      return (validity && VALIDITY_FLAGS.find(flag => validity[flag])) || null;
+    }
+
+    // entries collect here and go out as one timeline event when the chunk closes: when it
+    // is full and on every flush (incl. session end), so sampling, consent and plugins'
+    // beforeEnqueue see the whole chunk
+    function closeTimeline() {
+      const entries = FXT._timelineEntries;
+      if (!entries.length) return;
+      FXT._timelineEntries = [];
+      enqueue(makeEvent('timeline', {
+        fromSeq: entries[0].seq,
+        toSeq: entries[entries.length - 1].seq,
+        entries
+      }));
+    }
+
+    function noteTimeline(kind, record, data) {
+      const session = FXT._session;
+      if (!FXT._config.captureTimeline || !session || !session.sample.selected || !isAllowed('analytics')) return;
+      session.timelineSeq = (session.timelineSeq || 0) + 1;
+      const entry = { seq: session.timelineSeq, t: Math.round(perfNow()), kind, form: record ? record.key : null };
+      Object.keys(data || {}).forEach(key => {
+        if (data[key] !== null && data[key] !== undefined) entry[key] = data[key];
+      });
+      FXT._timelineEntries.push(entry);
+      // the counter survives a reload that comes before the next periodic session write
+      if (FXT._timelineEntries.length === 1) writeSession();
+      if (FXT._timelineEntries.length >= FXT._config.timelineChunkSize) closeTimeline();
+    }
+
+    function fieldEntry(field) {
+      return { field: field.field, instance: field.instance };
+    }
+
+    /* ---------------------------
+     * Plugins
+     * --------------------------- */
+    // FXT.use({ name, setup, beforeEnqueue, beforeFlush, onSessionEnd, onForm }); every hook
+    // is optional, and setup may return a teardown function for FXT.stop(). Hooks run in
+    // registration order, after the built-in plugins. A hook that throws is skipped for
+    // that call (the event or batch passes on unchanged) and counted in FXT._pluginErrors;
+    // a plugin whose setup throws stays inactive for the page
+    const PLUGIN_HOOKS = ['setup', 'beforeEnqueue', 'beforeFlush', 'onSessionEnd', 'onForm'];
+
+    function callHook(plugin, hook, ...args) {
+      try {
+        return { ok: true, value: plugin[hook](...args) };
+      } catch (e) {
+        FXT._pluginErrors[plugin.name] = (FXT._pluginErrors[plugin.name] || 0) + 1;
+        logDebug('plugin hook failed', plugin.name, hook, e);
+        return { ok: false };
+      }
+    }
+
+    // what a plugin's setup() gets to work with; events it enqueues go through every
+    // plugin's beforeEnqueue, sampling and consent like built-in events
+    function pluginContext(plugin) {
+      return {
+        name: plugin.name,
+        config: FXT._config,
+        sessionId: () => FXT._sessionId,
+        enqueue: (type, data) => enqueue(makeEvent(type, data)),
+        isAllowed,
+        fieldIdentity,
+        scrubText,
+        scrubUrl
+      };
+    }
+
+    // toggles by plugin name, built-in or not; enableConsoleWrap is the console default
+    function pluginEnabled(plugin) {
+      const toggles = Object.assign({ console: FXT._config.enableConsoleWrap }, FXT._config.plugins);
+      return toggles[plugin.name] !== false;
+    }
+
+    function activatePlugin(plugin) {
+      if (!pluginEnabled(plugin)) return;
+      // active during setup, so events it enqueues there pass its own hooks
+      FXT._activePlugins.push(plugin);
+      const result = plugin.setup ? callHook(plugin, 'setup', pluginContext(plugin)) : { ok: true };
+      if (!result.ok) {
+        FXT._activePlugins.splice(FXT._activePlugins.indexOf(plugin), 1);
+        return;
+      }
+      // setup may return its teardown, run by FXT.stop()
+      if (typeof result.value === 'function') {
+        onCleanup(() => callHook({ name: plugin.name, teardown: result.value }, 'teardown'));
+      }
+      // forms found before the plugin was registered
+      if (plugin.onForm) {
+        FXT._forms.forEach(record => withFormCleanups(record, () => callHook(plugin, 'onForm', record.form)));
+      }
+    }
+
+    function setupPlugins() {
+      FXT._activePlugins = [];
+      FXT._pluginErrors = {};
+      BUILTIN_PLUGINS.concat(FXT._plugins).forEach(activatePlugin);
+    }
+
+    function notifyPlugins(hook, ...args) {
+      FXT._activePlugins.forEach(plugin => {
+        if (plugin[hook]) callHook(plugin, hook, ...args);
+      });
+    }
+
+    // beforeEnqueue returns the event (changed or replaced) or null / false to drop it;
+    // returning nothing keeps the event as the hook left it
+    function applyEnqueueHooks(event) {
+      let evt = event;
+      for (const plugin of FXT._activePlugins) {
+        if (!plugin.beforeEnqueue) continue;
+        const result = callHook(plugin, 'beforeEnqueue', evt);
+        if (!result.ok || result.value === undefined) continue;
+        if (result.value === null || result.value === false) return null;
+        if (result.value && typeof result.value.type === 'string') {
+          evt = result.value;
+        } else {
+          logDebug('plugin returned an invalid event', plugin.name, result.value);
+        }
+      }
+      return evt;
+    }
+
+    // beforeFlush works on the events of one batch: it returns the events to send (an
+    // empty array drops the batch) or nothing to keep them as the hook left them
+    function applyFlushHooks(events) {
+      let batch = events;
+      for (const plugin of FXT._activePlugins) {
+        if (!plugin.beforeFlush) continue;
+        const result = callHook(plugin, 'beforeFlush', batch);
+        if (!result.ok || result.value === undefined) continue;
+        if (Array.isArray(result.value)) {
+          batch = result.value.filter(evt => evt && typeof evt.type === 'string');
+        } else {
+          logDebug('plugin returned an invalid batch', plugin.name, result.value);
+        }
+      }
+      return batch;
+    }
+
+    /* ---------------------------
+     * Event queue and sender
+     * --------------------------- */
+    function enqueue(event) {
+      if (FXT._session && isUserActivity(event)) touchSession();
+      const sampled = sampleEvent(event);
+      const evt = sampled && applyEnqueueHooks(sampled);
+      if (!evt || !admit(evt)) return;
+      FXT._events.push(evt);
+      // keep small
+      if (FXT._events.length >= FXT._config.batchSize) {
+        flush();
+      }
+    }
+  
+    // move queued events into outbox batches and send them; on unload every queued
+    // event is batched and handed to the transports' unload path (sendBeacon for fetch)
+    function flush() {
+      closeTimeline();
+      do {
+        if (!FXT._events.length) break;
+        const events = applyFlushHooks(FXT._events.splice(0, FXT._config.batchSize));
+        if (!events.length) continue;
+        const batch = makeBatch(events);
+        addToOutbox(batch);
+        persistBatch(batch);
+      } while (FXT._isUnloading);
+  
+      if (FXT._isUnloading) {
+        unloadOutbox();
+      } else {
+        drainOutbox();
+      }
+    }
+  
+    /* ---------------------------
+     * Persistent outbox (IndexedDB) with retry
+     * --------------------------- */
+    const OUTBOX_STORE = 'batches';
+  
+    // a batch keeps its events, sessionId and receipt id across retries and page loads
+    function makeBatch(events) {
+      return {
+        id: makeSessionId(), // receipt id: the collector drops batches it has already seen
+        pending: FXT._transports.map(t => t.name), // transports that have not accepted it yet
+        sessionId: FXT._sessionId,
+        pageSeq: FXT._session ? FXT._session.pageSeq : null,
+        startedAt: FXT._startedAt,
+        createdAt: Date.now(),
+        attempts: 0,
+        events
+      };
+    }
+  
+    function payloadFor(batch) {
+      return {
+        schemaVersion: SCHEMA_VERSION,
+        sdkVersion: SDK_VERSION,
+        encoding: 'json',
+        batchId: batch.id,
+        sessionId: batch.sessionId,
+        pageSeq: batch.pageSeq,
+        startedAt: batch.startedAt,
+        attempt: batch.attempts,
+        replayed: !!batch.replayed,
+        evictedBatches: FXT._evictedBatches,
+        events: batch.events
+      };
+    }
+  
+    // resolves to null when IndexedDB is unavailable (private mode, old browsers);
+    // the outbox then lives in memory only. Nothing is opened before a category is granted
+    function openOutboxDb() {
+      if (!hasGrant()) return Promise.resolve(null);
+      if (FXT._outboxDb) return FXT._outboxDb;
+      FXT._outboxDb = new Promise(resolve => {
+        try {
+          if (!global.indexedDB) return resolve(null);
+          const req = global.indexedDB.open(FXT._config.outboxDbName, 1);
+          req.onupgradeneeded = () => {
+            req.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+          };
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => resolve(null);
+          req.onblocked = () => resolve(null);
+        } catch (e) {
+          resolve(null);
+        }
+      });
+      return FXT._outboxDb;
+    }
+  
+    // run one request against the outbox store; storage failures never reach the page
+    function outboxRequest(mode, fn) {
+      return openOutboxDb().then(db => new Promise(resolve => {
+        if (!db) return resolve(null);
+        try {
+          const tx = db.transaction(OUTBOX_STORE, mode);
+          const req = fn(tx.objectStore(OUTBOX_STORE));
+          tx.oncomplete = () => resolve(req.result);
+          tx.onerror = () => resolve(null);
+          tx.onabort = () => resolve(null);
+        } catch (e) {
+          logDebug('Outbox storage failed', e);
+          resolve(null);
+        }
+      }));
+    }
+  
+    function persistBatch(batch) {
+      return outboxRequest('readwrite', store => store.put(batch));
+    }
+  
+    function deleteBatch(id) {
+      return outboxRequest('readwrite', store => store.delete(id));
+    }
+  
+    // bounded: once full, the oldest batch is evicted to make room
+    function addToOutbox(batch) {
+      FXT._outbox.push(batch);
+      FXT._outbox.sort((a, b) => a.createdAt - b.createdAt);
+      while (FXT._outbox.length > FXT._config.outboxMaxBatches) {
+        const evicted = FXT._outbox.shift();
+        FXT._evictedBatches++;
+        deleteBatch(evicted.id);
+        logDebug('Outbox full, evicted batch', evicted.id, evicted.events.length, 'events');
+      }
+    }
+  
+    function removeFromOutbox(batch) {
+      const index = FXT._outbox.indexOf(batch);
+      if (index >= 0) FXT._outbox.splice(index, 1);
+      deleteBatch(batch.id);
+    }
+  
+    // batches left by a previous page load or another tab (closed while offline, failed
+    // beacon) are sent again under the sessionId they were recorded with, once consent is
+    // granted and only with the events of categories granted now
+    function replayPersistedBatches() {
+      if (FXT._outboxReplayed || !hasGrant()) return Promise.resolve();
+      FXT._outboxReplayed = true;
+      return outboxRequest('readonly', store => store.getAll()).then(batches => {
+        (batches || []).forEach(batch => {
+          if (FXT._outbox.some(b => b.id === batch.id)) return;
+          batch.events = (batch.events || []).filter(evt => FXT._consent[categoryOf(evt)] === 'granted');
+          if (!batch.events.length) {
+            deleteBatch(batch.id);
+            return;
+          }
+          batch.replayed = true;
+          // it may name transports this page does not have (or none, from an older SDK)
+          const known = (batch.pending || []).filter(name => FXT._transports.some(t => t.name === name));
+          batch.pending = known.length ? known : FXT._transports.map(t => t.name);
+          addToOutbox(batch);
+        });
+        drainOutbox();
+      });
+    }
+  
+    // exponential backoff with jitter: half the capped delay plus a random half
+    function retryDelay(attempts) {
+      const exp = Math.min(FXT._config.retryMaxMs, FXT._config.retryBaseMs * Math.pow(2, attempts - 1));
+      return Math.round(exp / 2 + Math.random() * (exp / 2));
+    }
+  
+    function scheduleRetry(batch) {
+      batch.attempts++;
+      persistBatch(batch);
+      // after stop the batch waits in IndexedDB for the next page load
+      if (!FXT._isInitialized) return;
+      const delay = retryDelay(batch.attempts);
+      logDebug('Retrying batch', batch.id, 'in', delay, 'ms');
+      FXT._retryTimer = setTimeout(() => {
+        FXT._retryTimer = null;
+        drainOutbox();
+      }, delay);
+    }
+  
+    // fan out to every transport that has not accepted the batch yet; resolves to
+    // 'retry' while any of them still wants it again
+    function sendBatch(batch) {
+      const payload = payloadFor(batch);
+      logDebug('Flushing', batch.events.length, 'events to', batch.pending.join(', '));
+      return Promise.all(pendingTransports(batch).map(transport => runTransport(transport, payload).then(outcome => {
+        logDebug('Transport', transport.name, outcome);
+        if (outcome !== 'retry') batch.pending = batch.pending.filter(name => name !== transport.name);
+        return outcome;
+      }))).then(outcomes => (outcomes.includes('retry') ? 'retry' : 'sent'));
+    }
+  
+    // send outbox batches oldest first, one at a time; a failure pauses the whole
+    // outbox until its retry timer fires
+    function drainOutbox() {
+      if (!FXT._isInitialized || FXT._sending || FXT._retryTimer || !FXT._outbox.length) return;
+      const batch = FXT._outbox[0];
+      const generation = FXT._drainGeneration;
+      FXT._sending = true;
+      sendBatch(batch).then(outcome => {
+        // stopped while in flight: settle the stored copy, the next init replays the rest
+        if (generation !== FXT._drainGeneration) {
+          if (outcome === 'retry') persistBatch(batch);
+          else deleteBatch(batch.id);
+          return;
+        }
+        FXT._sending = false;
+        if (outcome === 'retry') {
+          scheduleRetry(batch);
+          return;
+        }
+        FXT._lastFlush = Date.now();
+        removeFromOutbox(batch);
+        drainOutbox();
+      });
+    }
+  
+    // the page is going away: only synchronous hand-offs (sendBeacon, an open socket,
+    // postMessage) can still deliver. A batch whose IndexedDB update does not complete
+    // before unload is replayed and deduplicated by the collector
+    function unloadOutbox() {
+      FXT._outbox.slice().forEach(batch => {
+        const payload = payloadFor(batch);
+        pendingTransports(batch).forEach(transport => {
+          let accepted = false;
+          try {
+            accepted = !!(transport.sendOnUnload && transport.sendOnUnload(payload));
+          } catch (e) {
+            // left in the outbox for the next page load
+          }
+          if (accepted) batch.pending = batch.pending.filter(name => name !== transport.name);
+        });
+        if (batch.pending.length) {
+          persistBatch(batch);
+        } else {
+          FXT._lastFlush = Date.now();
+          removeFromOutbox(batch);
+        }
+      });
+    }
+  
+    function onOnline() {
+      // connectivity is back: skip the remaining backoff
+      clearTimeout(FXT._retryTimer);
+      FXT._retryTimer = null;
+      drainOutbox();
+    }
+  
+    /* ---------------------------
+     * Payload encoding
+     * --------------------------- */
+    // event keys whose values repeat across a batch; the compact encoding sends each
+    // distinct value once
+    const DICTIONARY_KEYS = [
+      'type', 'field', 'fieldId', 'fieldName', 'fieldType', 'qualifiedName', 'tag', 'step',
+      'formId', 'formPath', 'formSource', 'formSelector'
+    ];
+  
+    // compact: { keys, dict, coded, events: [[keyIndex, value, keyIndex, value, ...]] }
+    // where values of the `coded` keys are indexes into `dict`
+    function encodePayload(payload) {
+      if (FXT._config.encoding !== 'compact') return payload;
+      const keys = [];
+      const keyIndex = {};
+      const dict = [];
+      const dictIndex = new Map();
+      function keyOf(key) {
+        if (!(key in keyIndex)) keyIndex[key] = keys.push(key) - 1;
+        return keyIndex[key];
+      }
+      function codeOf(value) {
+        if (!dictIndex.has(value)) dictIndex.set(value, dict.push(value) - 1);
+        return dictIndex.get(value);
+      }
+      const events = payload.events.map(evt => {
+        const row = [];
+        Object.keys(evt).forEach(key => {
+          if (evt[key] === undefined) return;
+          row.push(keyOf(key), DICTIONARY_KEYS.includes(key) ? codeOf(evt[key]) : evt[key]);
+        });
+        return row;
+      });
+      const coded = keys.map((key, i) => i).filter(i => DICTIONARY_KEYS.includes(keys[i]));
+      return { ...payload, encoding: 'compact', keys, dict, coded, events };
     }
-
+  
+    function serializePayload(payload) {
+      return JSON.stringify(encodePayload(payload));
+    }
+  
+    // resolves to { body, gzip }; falls back to the plain text without CompressionStream
+    function compressBody(text) {
+      if (!FXT._config.compress || !global.CompressionStream || text.length < FXT._config.compressMinBytes) {
+        return Promise.resolve({ body: text, gzip: false });
+      }
+      try {
+        const stream = new global.CompressionStream('gzip');
+        const writer = stream.writable.getWriter();
+        writer.write(new TextEncoder().encode(text));
+        writer.close();
+        return new Response(stream.readable).arrayBuffer()
+          .then(body => ({ body, gzip: true }), () => ({ body: text, gzip: false }));
+      } catch (e) {
+        return Promise.resolve({ body: text, gzip: false });
+      }
+    }
+  
     /* ---------------------------
-     * Event queue and sender
+     * Transports
      * --------------------------- */
-    function enqueue(evt) {
-      FXT._events.push(evt);
-      // keep small
-      if (FXT._events.length >= FXT._config.batchSize) {
-        flush();
+    // a transport is { name, send(payload), sendOnUnload?(payload), close?() }.
+    // send resolves (or returns) 'sent', 'retry' or 'dropped'; true/undefined count as
+    // 'sent', false as 'retry', and a throw or rejection is retried
+    function resolveTransports(config) {
+      const list = config.transports && config.transports.length
+        ? config.transports
+        : [fetchTransport({ endpoint: config.endpoint })];
+      const names = {};
+      return list.filter(t => t && typeof t.send === 'function').map(t => {
+        // names key the outbox's pending list, so they must be unique
+        let name = t.name || 'transport';
+        names[name] = (names[name] || 0) + 1;
+        if (names[name] > 1) name += `-${names[name]}`;
+        return name === t.name ? t : { ...t, name };
+      });
+    }
+  
+    function pendingTransports(batch) {
+      return FXT._transports.filter(t => batch.pending.includes(t.name));
+    }
+  
+    function normalizeOutcome(result) {
+      if (result === false) return 'retry';
+      if (result === 'retry' || result === 'dropped') return result;
+      return 'sent';
+    }
+  
+    function runTransport(transport, payload) {
+      try {
+        return Promise.resolve(transport.send(payload)).then(normalizeOutcome, err => {
+          logDebug('Transport failed', transport.name, err);
+          return 'retry';
+        });
+      } catch (err) {
+        logDebug('Transport failed', transport.name, err);
+        return Promise.resolve('retry');
       }
     }
   
-    function flush() {
-      if (!FXT._events.length) return;
-      const payload = {
-        sessionId: FXT._sessionId,
-        startedAt: FXT._startedAt,
-        events: FXT._events.splice(0, FXT._config.batchSize)
+    function jsonBlob(payload) {
+      return new Blob([serializePayload(payload)], { type: 'application/json' });
+    }
+  
+    // JSON POST; 408/429/5xx and network errors are retried, other 4xx dropped.
+    // sendBeacon on unload
+    function fetchTransport(opts) {
+      const options = opts || {};
+      // factories may run before init, so the configured endpoint is read per send
+      const endpoint = () => options.endpoint || FXT._config.endpoint;
+      return {
+        name: options.name || 'fetch',
+        send(payload) {
+          // the unwrapped fetch, so failed flushes are not reported as page network errors
+          const send = FXT._nativeFetch || fetch;
+          return compressBody(serializePayload(payload)).then(({ body, gzip }) => send(endpoint(), {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              ...(gzip ? { 'Content-Encoding': 'gzip' } : {}),
+              ...(options.headers || {})
+            },
+            credentials: options.credentials || 'omit',
+            body
+          })).then(res => {
+            if (res.ok) return 'sent';
+            return (res.status === 408 || res.status === 429 || res.status >= 500) ? 'retry' : 'dropped';
+          });
+        },
+        sendOnUnload(payload) {
+          return !!navigator.sendBeacon && navigator.sendBeacon(endpoint(), jsonBlob(payload));
+        }
       };
+    }
   
-      // small payload enforcement (best-effort)
-      // convert to JSON once
-      const body = JSON.stringify(payload);
-      logDebug('Flushing', payload.events.length, 'events, bytes', body.length);
+    // sendBeacon only: survives navigation but gives no delivery receipt
+    function beaconTransport(opts) {
+      const options = opts || {};
+      const endpoint = () => options.endpoint || FXT._config.endpoint;
+      function beacon(payload) {
+        if (!navigator.sendBeacon) return 'dropped';
+        return navigator.sendBeacon(endpoint(), jsonBlob(payload));
+      }
+      return { name: options.name || 'beacon', send: beacon, sendOnUnload: beacon };
+    }
   
-      // try sendBeacon on unload, else send fetch
-      if (navigator.sendBeacon && FXT._isUnloading) {
-        try {
-          // Wrap in Blob to send as application/json
-          const blob = new Blob([body], { type: 'application/json' });
-          const sent = navigator.sendBeacon(FXT._config.endpoint, blob);
-          if (sent) {
-            FXT._lastFlush = Date.now();
-            return;
-          }
-        } catch (e) {
-          // fall through to fetch
+    // one JSON message per batch over a lazily opened socket, e.g. for live dashboards;
+    // a closed socket is reopened on the next attempt
+    function websocketTransport(opts) {
+      const options = opts || {};
+      let socket = null;
+      let opening = null;
+  
+      function open() {
+        if (socket && socket.readyState === 1) return Promise.resolve(socket);
+        if (opening) return opening;
+        opening = new Promise((resolve, reject) => {
+          const ws = new WebSocket(options.url, options.protocols);
+          ws.onopen = () => {
+            socket = ws;
+            opening = null;
+            resolve(ws);
+          };
+          ws.onerror = () => {
+            opening = null;
+            reject(new Error('WebSocket failed'));
+          };
+          ws.onclose = () => {
+            if (socket === ws) socket = null;
+          };
+        });
+        return opening;
+      }
+  
+      return {
+        name: options.name || 'websocket',
+        send(payload) {
+          return open().then(ws => {
+            ws.send(serializePayload(payload));
+            return 'sent';
+          });
+        },
+        sendOnUnload(payload) {
+          if (!socket || socket.readyState !== 1) return false;
+          socket.send(serializePayload(payload));
+          return true;
+        },
+        close() {
+          if (socket) socket.close();
+          socket = null;
         }
+      };
+    }
+  
+    // hands batches to another window, typically the page embedding the form in an
+    // iframe, as { type: 'fxt-batch', payload }; in-page sinks get the canonical payload
+    function postMessageTransport(opts) {
+      const options = opts || {};
+      // an explicit origin keeps events from reaching an unexpected parent
+      const targetOrigin = options.targetOrigin || location.origin;
+      function post(payload) {
+        const target = options.target || (global.parent !== global ? global.parent : null);
+        if (!target) return 'dropped'; // not embedded
+        target.postMessage({ type: 'fxt-batch', payload }, targetOrigin);
+        return 'sent';
       }
+      return {
+        name: options.name || 'postMessage',
+        send: post,
+        sendOnUnload: payload => post(payload) === 'sent'
+      };
+    }
   
-      // Use fetch to send to endpoint
-      fetch(FXT._config.endpoint, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        credentials: 'omit',
-        body
-      }).then(res => {
-        FXT._lastFlush = Date.now();
-        logDebug('Flush response', res.status);
-      }).catch(err => {
-        // if network fails, push events back to queue (simple retry)
-        logDebug('Flush failed', err);
-        // put back events at front (best-effort)
-        const returned = JSON.parse(body).events;
-        FXT._events = returned.concat(FXT._events);
+    // in-page sink, e.g. for tests or a custom uploader; the callback's return value is
+    // the outcome
+    function callbackTransport(fn, opts) {
+      const options = opts || {};
+      return {
+        name: options.name || 'callback',
+        send: payload => fn(payload),
+        sendOnUnload: payload => normalizeOutcome(fn(payload)) === 'sent'
+      };
+    }
+  
+    function closeTransports() {
+      FXT._transports.forEach(t => {
+        try {
+          if (t.close) t.close();
+        } catch (e) { /* ignore */ }
       });
     }
   
@@ -343,92 +2627,165 @@
       }, FXT._config.flushIntervalMs);
     }
   
+    /* ---------------------------
+     * Frustration signals (rage click, dead click, focus thrash)
+     * --------------------------- */
+    const FIELD_CONTROLS = 'input, select, textarea, button, fieldset';
+
+    // the control a click inside a field belongs to: a label's control, the clicked control,
+    // or the wrapper's first control (rating stars, descriptions)
+    function clickedFieldControl(target) {
+      const label = target.closest('label');
+      if (label && label.control) return label.control;
+      const control = target.closest(FIELD_CONTROLS);
+      if (control && fieldWrapperFor(control)) return control;
+      const wrapper = fieldWrapperFor(target);
+      return wrapper ? wrapper.querySelector(FIELD_CONTROLS) || wrapper : null;
+    }
+
+    // why a click can do nothing, or null
+    function deadClickReason(target) {
+      const control = target.closest('button, input, select, textarea');
+      if (control && control.disabled) return 'disabled-control';
+      if (target.closest('.rating.disabled')) return 'disabled-rating';
+      const label = target.closest('label');
+      // a label bound to no control neither focuses nor toggles anything
+      if (label && !label.control) return 'unbound-label';
+      return null;
+    }
+
+    // returns the number of clicks in the burst once it reaches rageClickCount
+    function rageClickBurst(record, e) {
+      const now = perfNow();
+      const { rageClickWindowMs, rageClickRadiusPx, rageClickCount } = FXT._config;
+      const x = e.clientX || 0;
+      const y = e.clientY || 0;
+      record.recentClicks = record.recentClicks.filter(c => now - c.t <= rageClickWindowMs);
+      record.recentClicks.push({ x, y, t: now });
+      const near = record.recentClicks.filter(c => Math.abs(c.x - x) <= rageClickRadiusPx
+        && Math.abs(c.y - y) <= rageClickRadiusPx);
+      if (near.length < rageClickCount) return 0;
+      // a new burst starts after this one
+      record.recentClicks = record.recentClicks.filter(c => !near.includes(c));
+      return near.length;
+    }
+
+    // A-B-A-B within thrashWindowMs: the user cannot settle between two fields
+    function focusThrashFields(record, fieldPath) {
+      const now = perfNow();
+      const history = record.focusHistory;
+      if (history.length && history[history.length - 1].field === fieldPath) return null;
+      history.push({ field: fieldPath, t: now });
+      if (history.length > 4) history.shift();
+      if (history.length < 4 || now - history[0].t > FXT._config.thrashWindowMs) return null;
+      const [a, b, c, d] = history.map(h => h.field);
+      if (a !== c || b !== d || a === b) return null;
+      record.focusHistory = [];
+      return [a, b];
+    }
+
     /* ---------------------------
      * Instrumentation: form fields
      * --------------------------- */
-    function attachFormListeners(form) {
+    function attachFormListeners(form, record) {
+      // every event from this form carries its data-id / data-formpath / data-source
+      function emit(type, info) {
+        enqueue(makeEvent(type, { ...formTags(form), ...info }));
+      }
+
       // delegate events from form
       function onFocus(e) {
         const el = e.target;
-        const fieldPath = cssPath(el);
-        const metrics = initFieldMetrics(fieldPath);
+        const field = fieldInfo(el);
+        const fieldPath = field.field;
+        const metrics = initFieldMetrics(record.key, fieldPath, fieldIdentity(el));
         
         // Track focus start time
+        FXT._currentFocusedForm = record.key;
         FXT._currentFocusedField = fieldPath;
-        FXT._fieldFocusStartTime = perfNow();
+        startFocusTiming();
         metrics.focusCount++;
+        const thrash = focusThrashFields(record, fieldPath);
         
         const info = {
           formSelector: FXT._config.formSelector,
-          field: fieldPath,
-          tag: el.tagName,
-          fieldType: el.type || null,
-          step: stepIndexForElement(el),
+          ...field,
           valueSummary: valueSummaryForElement(el),
           // Pain point metrics
           focusCount: metrics.focusCount,
           previousValidationFailures: metrics.validationFailures,
           previousEditCount: metrics.editCount
         };
-        enqueue(makeEvent('focus', info));
+        emit('focus', info);
+        noteTimeline('enter', record, fieldEntry(field));
         logDebug('focus', info.field);
+        if (thrash) {
+          thrash.forEach(f => {
+            const m = getFieldMetrics(record.key, f);
+            if (m) m.focusThrash++;
+          });
+          emit('frustration', { kind: 'focus-thrash', ...field, fields: thrash, windowMs: FXT._config.thrashWindowMs });
+        }
       }
   
       function onBlur(e) {
         const el = e.target;
-        const fieldPath = cssPath(el);
-        const metrics = getFieldMetrics(fieldPath);
+        const field = fieldInfo(el);
+        const fieldPath = field.field;
+        const metrics = getFieldMetrics(record.key, fieldPath);
         
-        // Calculate time spent on this field
-        let timeSpent = 0;
-        if (FXT._currentFocusedField === fieldPath && FXT._fieldFocusStartTime) {
-          timeSpent = Math.round(perfNow() - FXT._fieldFocusStartTime);
-          if (metrics) {
-            metrics.totalTimeSpent += timeSpent;
-          }
+        // Split the visit into typing, idle and hidden time
+        let timing = null;
+        if (FXT._currentFocusedForm === record.key && FXT._currentFocusedField === fieldPath) {
+          timing = endFocusTiming(metrics);
         }
+        const timeSpent = timing ? timing.timeSpentMs : 0;
         
+        FXT._currentFocusedForm = null;
         FXT._currentFocusedField = null;
-        FXT._fieldFocusStartTime = null;
+        FXT._focusTiming = null;
         
         const info = {
-          field: fieldPath,
-          tag: el.tagName,
-          fieldType: el.type || null,
-          step: stepIndexForElement(el),
+          ...field,
           valueSummary: valueSummaryForElement(el),
           // Pain point metrics
           timeSpentMs: timeSpent,
+          activeTimeMs: timing ? timing.activeTimeMs : 0,
+          idleTimeMs: timing ? timing.idleTimeMs : 0,
+          hiddenTimeMs: timing ? timing.hiddenTimeMs : 0,
+          timeToFirstInputMs: timing ? timing.timeToFirstInputMs : null,
+          keyGapMedianMs: timing ? timing.keyGapMedianMs : null,
+          keyGapP90Ms: timing ? timing.keyGapP90Ms : null,
           totalTimeSpentMs: metrics ? metrics.totalTimeSpent : 0,
           editCount: metrics ? metrics.editCount : 0,
           validationFailures: metrics ? metrics.validationFailures : 0,
           backspaceCount: metrics ? metrics.backspaceCount : 0,
           pasteCount: metrics ? metrics.pasteCount : 0
         };
-        enqueue(makeEvent('blur', info));
+        emit('blur', info);
+        noteTimeline('exit', record, { ...fieldEntry(field), durationMs: timeSpent });
         logDebug('blur', info.field, `${timeSpent}ms spent`);
       }
   
       function onChange(e) {
         const el = e.target;
-        const fieldPath = cssPath(el);
-        const metrics = initFieldMetrics(fieldPath);
+        const field = fieldInfo(el);
+        const fieldPath = field.field;
+        const metrics = initFieldMetrics(record.key, fieldPath, fieldIdentity(el));
         const valueSummary = valueSummaryForElement(el);
         
         // Track edits
         metrics.editCount++;
         
-        // Detect if field was cleared
-        if (metrics.lastValueLength > 0 && valueSummary && valueSummary.length === 0) {
+        // Detect if field was cleared (not possible for excluded fields)
+        const hasValue = summaryHasValue(valueSummary);
+        if (metrics.hadValue && hasValue === false) {
           metrics.clearCount++;
         }
-        metrics.lastValueLength = valueSummary ? valueSummary.length : 0;
+        metrics.hadValue = !!hasValue;
         
         const info = {
-          field: fieldPath,
-          tag: el.tagName,
-          fieldType: el.type || null,
-          step: stepIndexForElement(el),
+          ...field,
           valueSummary: valueSummary,
           // Pain point metrics
           editCount: metrics.editCount,
@@ -453,24 +2810,29 @@
             info.validationFailureCount = metrics.validationFailures;
           }
         }
-        enqueue(makeEvent('change', info));
+        emit('change', info);
+        if (el.validity) {
+          noteTimeline('validation', record, {
+            ...fieldEntry(field),
+            valid: el.validity.valid,
+            reason: validityReason(el.validity)
+          });
+        }
         logDebug('change', info.field, info.validity);
       }
   
       function onInvalid(e) {
         // capture validation message without values
         const el = e.target;
-        const fieldPath = cssPath(el);
-        const metrics = initFieldMetrics(fieldPath);
+        const field = fieldInfo(el);
+        const fieldPath = field.field;
+        const metrics = initFieldMetrics(record.key, fieldPath, fieldIdentity(el));
         
         // Track repeated validation failures
         metrics.validationFailures++;
         
         const info = {
-          field: fieldPath,
-          tag: el.tagName,
-          fieldType: el.type || null,
-          step: stepIndexForElement(el),
+          ...field,
           validity: el.validity ? { ...el.validity } : null,
           // Pain point metrics - CRITICAL for identifying problematic fields
           validationFailureCount: metrics.validationFailures,
@@ -478,7 +2840,8 @@
           timeSpentMs: metrics.totalTimeSpent,
           isRepeatedFailure: metrics.validationFailures > 1
         };
-        enqueue(makeEvent('error', Object.assign({ errorType: 'validation' }, info)));
+        emit('error', Object.assign({ errorType: 'validation' }, info));
+        noteTimeline('validation', record, { ...fieldEntry(field), valid: false, reason: validityReason(el.validity) });
         logDebug('invalid', info.field, `Failure #${metrics.validationFailures}`);
         // prevent browser default bubble if needed — but we won't prevent default
       }
@@ -492,10 +2855,32 @@
         if (target && target.closest && target.closest('[data-step-next]')) {
           const from = target.closest('[data-step]') ? target.closest('[data-step]').dataset.step : null;
           const to = target.closest('[data-step-next]') ? target.closest('[data-step-next]').dataset.stepNext : null;
-          enqueue(makeEvent('step-transition', { fromStep: from, toStep: to }));
+          emit('step-transition', { fromStep: from, toStep: to });
+          noteTimeline('step', record, { fromStep: from, toStep: to });
         }
       }
   
+      // pointerdown rather than click: browsers dispatch no click for disabled controls
+      function onPointerDown(e) {
+        const target = e.target;
+        if (!target || !target.closest) return;
+        const burst = rageClickBurst(record, e);
+        const reason = deadClickReason(target);
+        if (!burst && !reason) return;
+        // clicks outside fields (e.g. form text) are reported by selector only
+        const control = clickedFieldControl(target);
+        const info = control ? fieldInfo(control) : { selector: cssPath(target) };
+        const metrics = control ? initFieldMetrics(record.key, info.field, fieldIdentity(control)) : null;
+        if (burst) {
+          if (metrics) metrics.rageClicks++;
+          emit('frustration', { kind: 'rage-click', ...info, clickCount: burst });
+        }
+        if (reason) {
+          if (metrics) metrics.deadClicks++;
+          emit('frustration', { kind: 'dead-click', ...info, reason });
+        }
+      }
+
       // Track keystroke patterns for pain point analysis
       function onKeyDown(e) {
         const el = e.target;
@@ -503,80 +2888,194 @@
         const tag = el.tagName.toLowerCase();
         if (tag !== 'input' && tag !== 'textarea') return;
         
-        const fieldPath = cssPath(el);
-        const metrics = initFieldMetrics(fieldPath);
+        const identity = fieldIdentity(el);
+        const metrics = initFieldMetrics(record.key, identity.key, identity);
         
         // Track backspace/delete (indicates corrections/hesitation)
         if (e.key === 'Backspace' || e.key === 'Delete') {
           metrics.backspaceCount++;
         }
+        // characters and deletions only: Tab, arrows and modifiers are navigation
+        if (e.key && (e.key.length === 1 || e.key === 'Backspace' || e.key === 'Delete')) {
+          noteKeystroke();
+        }
+      }
+
+      // selects, checkboxes, autofill and IME input have no keystrokes
+      function onInput() {
+        noteFieldInput();
       }
       
       // Track paste events (different interaction pattern)
       function onPaste(e) {
         const el = e.target;
         if (!el || !el.tagName) return;
-        const fieldPath = cssPath(el);
-        const metrics = initFieldMetrics(fieldPath);
+        const identity = fieldIdentity(el);
+        const metrics = initFieldMetrics(record.key, identity.key, identity);
         metrics.pasteCount++;
+        noteFieldInput();
         
         // Log paste event for analysis
-        enqueue(makeEvent('paste', {
-          field: fieldPath,
-          tag: el.tagName,
-          fieldType: el.type || null
-        }));
+        emit('paste', fieldInfo(el));
       }
       
-      form.addEventListener('focus', onFocus, true);
-      form.addEventListener('blur', onBlur, true);
-      form.addEventListener('change', onChange, true);
-      form.addEventListener('invalid', onInvalid, true);
-      form.addEventListener('click', onFormClick, true);
-      form.addEventListener('keydown', onKeyDown, true);
-      form.addEventListener('paste', onPaste, true);
-  
-      // expose programmatic API for step transitions (recommended)
-      FXT.stepTransition = function (from, to) {
-        enqueue(makeEvent('step-transition', { fromStep: from, toStep: to }));
-        logDebug('programmatic step transition', from, to);
-      };
+      listen(form, 'focus', whenAllowed('analytics', onFocus), true);
+      listen(form, 'blur', whenAllowed('analytics', onBlur), true);
+      listen(form, 'change', whenAllowed('analytics', onChange), true);
+      listen(form, 'invalid', whenAllowed('analytics', onInvalid), true);
+      listen(form, 'click', whenAllowed('analytics', onFormClick), true);
+      listen(form, 'pointerdown', whenAllowed('analytics', onPointerDown), true);
+      listen(form, 'keydown', whenAllowed('analytics', onKeyDown), true);
+      listen(form, 'paste', whenAllowed('analytics', onPaste), true);
+      listen(form, 'input', whenAllowed('analytics', onInput), true);
     }
   
+    /* ---------------------------
+     * Scrubbing (URLs and messages)
+     * --------------------------- */
+    const MAX_MESSAGE_LENGTH = 300;
+
+    // cards before phones: a card number also looks like a long phone number
+    const BUILTIN_SCRUB_PATTERNS = [
+      { pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, replacement: '[email]' },
+      { pattern: /\b(?:\d[ -]?){12,18}\d\b/g, replacement: '[card]', check: luhnValid },
+      {
+        pattern: /\+\d[\d\s().-]{5,18}\d|\(?\b\d{2,4}\)?[\s.-]\d{3,4}[\s.-]\d{3,4}\b/g,
+        replacement: '[phone]',
+        check: match => {
+          const digits = match.replace(/\D/g, '').length;
+          return digits >= 7 && digits <= 15;
+        }
+      }
+    ];
+
+    // card numbers pass the Luhn checksum; other long digit runs (ids, timestamps) do not
+    function luhnValid(match) {
+      const digits = match.replace(/\D/g, '');
+      let sum = 0;
+      for (let i = 0; i < digits.length; i++) {
+        let d = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+          d *= 2;
+          if (d > 9) d -= 9;
+        }
+        sum += d;
+      }
+      return sum % 10 === 0;
+    }
+
+    function scrubPatterns() {
+      return BUILTIN_SCRUB_PATTERNS.concat((FXT._config.scrubPatterns || []).map(p => ({
+        ...p,
+        pattern: p.pattern.global ? p.pattern : new RegExp(p.pattern.source, p.pattern.flags + 'g')
+      })));
+    }
+
+    function customScrub(text, kind) {
+      if (typeof FXT._config.scrubber !== 'function') return text;
+      try {
+        return String(FXT._config.scrubber(text, kind));
+      } catch (e) {
+        return text;
+      }
+    }
+
+    function replacePatterns(text) {
+      return scrubPatterns().reduce((out, p) => out.replace(p.pattern, match => (
+        !p.check || p.check(match) ? p.replacement : match
+      )), text);
+    }
+
+    // emails, phone and card numbers in free text become placeholders; scrubbed before
+    // truncation so a cut never leaves part of a match behind
+    function scrubText(text) {
+      if (text === null || text === undefined) return null;
+      return customScrub(replacePatterns(String(text)), 'message').slice(0, MAX_MESSAGE_LENGTH);
+    }
+
+    function decodeComponent(part) {
+      try {
+        return decodeURIComponent(part.replace(/\+/g, ' '));
+      } catch (e) {
+        return part;
+      }
+    }
+
+    // query strings and fragments are dropped (prefill and redirect URLs carry user data),
+    // except parameters on the urlAllowParams allow-list
+    function scrubUrl(url) {
+      if (url === null || url === undefined) return null;
+      const [beforeHash] = String(url).split('#');
+      const queryAt = beforeHash.indexOf('?');
+      const path = queryAt >= 0 ? beforeHash.slice(0, queryAt) : beforeHash;
+      const query = queryAt >= 0 ? beforeHash.slice(queryAt + 1) : '';
+      const allowed = FXT._config.urlAllowParams || [];
+      const kept = query.split('&').filter(pair => pair && allowed.includes(decodeComponent(pair.split('=')[0])))
+        .map(pair => {
+          const eq = pair.indexOf('=');
+          if (eq < 0) return pair;
+          const value = replacePatterns(decodeComponent(pair.slice(eq + 1)));
+          return `${pair.slice(0, eq)}=${encodeURIComponent(value)}`;
+        });
+      const scrubbed = replacePatterns(path) + (kept.length ? `?${kept.join('&')}` : '');
+      return customScrub(scrubbed, 'url').slice(0, MAX_MESSAGE_LENGTH);
+    }
+
+    function requestUrl(input) {
+      if (typeof input === 'string') return input;
+      return (input && (input.url || input.href)) || null;
+    }
+
     /* ---------------------------
      * Instrumentation: console / errors / network
      * --------------------------- */
   
+    // replaces owner[key] with makeWrapper(original, isActive) and returns a restore function.
+    // Restoring puts the original back; when something else has wrapped ours since, ours
+    // stays in its chain as a pass-through so that wrapper keeps working
+    function patchGlobal(owner, key, makeWrapper) {
+      const original = owner[key];
+      let active = true;
+      const wrapper = makeWrapper(original, () => active);
+      owner[key] = wrapper;
+      return function () {
+        active = false;
+        if (owner[key] === wrapper) owner[key] = original;
+      };
+    }
+
     function wrapConsole() {
-      if (!FXT._config.enableConsoleWrap) return;
-      const originalError = console.error;
-      console.error = function (...args) {
+      return patchGlobal(console, 'error', (originalError, isActive) => function (...args) {
         try {
-          enqueue(makeEvent('error', {
-            errorType: 'console',
-            message: String(args[0]).slice(0, 300) // cap string length
-          }));
+          if (isActive() && isAllowed('diagnostics')) {
+            enqueue(makeEvent('error', {
+              errorType: 'console',
+              message: scrubText(args[0])
+            }));
+          }
         } catch (e) { /* ignore */ }
         originalError.apply(console, args);
-      };
+      });
     }
   
     function wireWindowErrors() {
-      window.addEventListener('error', function (evt) {
+      listen(window, 'error', function (evt) {
+        if (!isAllowed('diagnostics')) return;
         try {
           const info = {
             errorType: 'uncaught',
-            message: (evt && evt.message) ? String(evt.message).slice(0, 300) : 'unknown',
-            filename: evt && evt.filename ? evt.filename.split('/').pop() : null,
+            message: (evt && evt.message) ? scrubText(evt.message) : 'unknown',
+            filename: evt && evt.filename ? scrubUrl(evt.filename).split('/').pop() : null,
             lineno: evt && evt.lineno ? evt.lineno : null
           };
           enqueue(makeEvent('error', info));
         } catch (e) { /* ignore */ }
       });
   
-      window.addEventListener('unhandledrejection', function (evt) {
+      listen(window, 'unhandledrejection', function (evt) {
+        if (!isAllowed('diagnostics')) return;
         try {
-          const reason = evt && evt.reason ? String(evt.reason).slice(0, 300) : 'unknown';
+          const reason = evt && evt.reason ? scrubText(evt.reason) : 'unknown';
           enqueue(makeEvent('error', { errorType: 'unhandledrejection', message: reason }));
         } catch (e) { /* ignore */ }
       });
@@ -584,18 +3083,18 @@
   
     // Wrap fetch to capture network failures (status >= 400 or network error)
     function wrapFetch() {
-      if (!global.fetch) return;
-      const originalFetch = global.fetch;
-      global.fetch = function (input, init) {
+      if (!global.fetch) return null;
+      FXT._nativeFetch = global.fetch;
+      const restore = patchGlobal(global, 'fetch', (originalFetch, isActive) => function (input, init) {
         const start = perfNow();
         return originalFetch(input, init).then(res => {
           const duration = Math.round(perfNow() - start);
-          if (!res.ok) {
+          if (!res.ok && isActive() && isAllowed('diagnostics')) {
             // record network error event but do not capture body
             enqueue(makeEvent('error', {
               errorType: 'network',
               subType: 'httpError',
-              url: (typeof input === 'string') ? input : (input && input.url) || null,
+              url: scrubUrl(requestUrl(input)),
               status: res.status,
               statusText: res.statusText,
               duration
@@ -604,34 +3103,39 @@
           return res;
         }).catch(err => {
           const duration = Math.round(perfNow() - start);
-          enqueue(makeEvent('error', {
-            errorType: 'network',
-            subType: 'networkFail',
-            url: (typeof input === 'string') ? input : (input && input.url) || null,
-            message: String(err).slice(0, 300),
-            duration
-          }));
+          if (isActive() && isAllowed('diagnostics')) {
+            enqueue(makeEvent('error', {
+              errorType: 'network',
+              subType: 'networkFail',
+              url: scrubUrl(requestUrl(input)),
+              message: scrubText(err),
+              duration
+            }));
+          }
           throw err;
         });
+      });
+      // the page may replace fetch before the next init, which may not wrap it at all
+      return function () {
+        FXT._nativeFetch = null;
+        restore();
       };
     }
   
     // Wrap XHR
     function wrapXHR() {
       const XHR = global.XMLHttpRequest;
-      if (!XHR) return;
-      const origOpen = XHR.prototype.open;
-      const origSend = XHR.prototype.send;
-      XHR.prototype.open = function (method, url) {
-        this._fxt_url = url;
+      if (!XHR) return null;
+      const restoreOpen = patchGlobal(XHR.prototype, 'open', origOpen => function (method, url) {
+        this._fxt_url = scrubUrl(url);
         origOpen.apply(this, arguments);
-      };
-      XHR.prototype.send = function (body) {
+      });
+      const restoreSend = patchGlobal(XHR.prototype, 'send', (origSend, isActive) => function (body) {
         const start = perfNow();
         const url = this._fxt_url;
         this.addEventListener('load', function () {
           const duration = Math.round(perfNow() - start);
-          if (this.status >= 400) {
+          if (this.status >= 400 && isActive() && isAllowed('diagnostics')) {
             enqueue(makeEvent('error', {
               errorType: 'network',
               subType: 'httpError',
@@ -642,6 +3146,7 @@
           }
         });
         this.addEventListener('error', function () {
+          if (!isActive() || !isAllowed('diagnostics')) return;
           const duration = Math.round(perfNow() - start);
           enqueue(makeEvent('error', {
             errorType: 'network',
@@ -651,13 +3156,17 @@
           }));
         });
         origSend.apply(this, arguments);
+      });
+      return function () {
+        restoreOpen();
+        restoreSend();
       };
     }
   
     /* ---------------------------
      * DOM Mutation capture (small, coalesced)
      * --------------------------- */
-    function observeMutations(rootEl) {
+    function observeMutations(rootEl, record) {
       if (!global.MutationObserver) return;
       const mo = new MutationObserver(mutations => {
         try {
@@ -668,36 +3177,36 @@
               // record additions/removals with small selector references
               m.addedNodes && m.addedNodes.forEach(n => {
                 if (n.nodeType === 1) {
-                  FXT._mutationBuffer.push({
+                  record.mutationBuffer.push({
                     action: 'added',
-                    selector: cssPath(n),
+                    ...describeNode(n),
                     tag: n.tagName ? n.tagName.toLowerCase() : null
                   });
                 }
               });
               m.removedNodes && m.removedNodes.forEach(n => {
                 if (n.nodeType === 1) {
-                  FXT._mutationBuffer.push({
+                  record.mutationBuffer.push({
                     action: 'removed',
-                    selector: cssPath(n),
+                    ...describeNode(n),
                     tag: n.tagName ? n.tagName.toLowerCase() : null
                   });
                 }
               });
             } else if (m.type === 'attributes') {
-              FXT._mutationBuffer.push({
+              record.mutationBuffer.push({
                 action: 'attr',
-                selector: cssPath(m.target),
+                ...describeNode(m.target),
                 attribute: m.attributeName
               });
             }
           }
           // schedule flush of mutation buffer
-          if (!FXT._mutationTimer) {
-            FXT._mutationTimer = setTimeout(() => {
-              const batch = FXT._mutationBuffer.splice(0, FXT._config.maxMutationRecordsPerBatch);
-              enqueue(makeEvent('dom-mutation', { changes: batch }));
-              FXT._mutationTimer = null;
+          if (!record.mutationTimer) {
+            record.mutationTimer = setTimeout(() => {
+              const batch = record.mutationBuffer.splice(0, FXT._config.maxMutationRecordsPerBatch);
+              enqueue(makeEvent('dom-mutation', { ...formTags(rootEl), changes: batch }));
+              record.mutationTimer = null;
             }, FXT._config.mutationBatchMs);
           }
         } catch (e) {
@@ -705,72 +3214,321 @@
         }
       });
       mo.observe(rootEl, { childList: true, subtree: true, attributes: true });
-      // store observer to disconnect on stop
-      FXT._mo = mo;
+      record.observer = mo;
+      onCleanup(() => {
+        mo.disconnect();
+        clearTimeout(record.mutationTimer);
+        record.mutationTimer = null;
+      });
     }
   
+    // built-in capture modules, toggled with FXT.init({ plugins: { <name>: false } })
+    const BUILTIN_PLUGINS = [
+      { name: 'console', setup: wrapConsole },
+      {
+        name: 'network',
+        setup() {
+          const restoreFetch = wrapFetch();
+          const restoreXHR = wrapXHR();
+          return function () {
+            if (restoreFetch) restoreFetch();
+            if (restoreXHR) restoreXHR();
+          };
+        }
+      },
+      { name: 'mutations', onForm: form => observeMutations(form, recordForForm(form)) }
+    ];
+
+    /* ---------------------------
+     * Performance (form milestones, web vitals, long tasks)
+     * --------------------------- */
+    // blocks/form marks its milestones with User Timing as form:<name>, see
+    // markFormTiming() in blocks/form/util.js; rule execution over 50ms is measured as form:rules
+    const MAX_PERF_ENTRIES = 200;
+    const INP_DURATION_THRESHOLD_MS = 40;
+    const CLS_SESSION_GAP_MS = 1000;
+    const CLS_SESSION_MAX_MS = 5000;
+
+    function pushBounded(list, item) {
+      list.push(item);
+      if (list.length > MAX_PERF_ENTRIES) list.shift();
+    }
+
+    function resetPerformance() {
+      FXT._formTimings = [];
+      FXT._perf = { lcp: null, interactions: {}, shifts: [], longTasks: [] };
+    }
+
+    function formForNode(node) {
+      const el = node && node.nodeType === 1 ? node : node && node.parentElement;
+      const record = el && FXT._forms.find(r => r.form.contains(el));
+      return record ? record.form : null;
+    }
+
+    function onTimingEntry(entry) {
+      if (!entry.name || entry.name.indexOf('form:') !== 0) return;
+      const detail = entry.detail || {};
+      pushBounded(FXT._formTimings, {
+        name: entry.name.slice(5),
+        formId: detail.formId || null,
+        startTime: entry.startTime,
+        duration: entry.duration || 0
+      });
+    }
+
+    function onLcpEntry(entry) {
+      FXT._perf.lcp = { startTime: entry.startTime, form: formForNode(entry.element) };
+    }
+
+    // the slowest event per interaction; INP is picked from these in inpFor()
+    function onInteractionEntry(entry) {
+      if (!entry.interactionId) return;
+      const form = formForNode(entry.target);
+      if (!form) return;
+      const interactions = FXT._perf.interactions;
+      const previous = interactions[entry.interactionId];
+      if (previous && previous.duration >= entry.duration) return;
+      if (!previous && Object.keys(interactions).length >= MAX_PERF_ENTRIES) return;
+      interactions[entry.interactionId] = { duration: entry.duration, form, target: entry.target };
+    }
+
+    function onLayoutShiftEntry(entry) {
+      if (entry.hadRecentInput) return;
+      const forms = (entry.sources || []).map(source => formForNode(source.node)).filter(Boolean);
+      if (!forms.length) return;
+      pushBounded(FXT._perf.shifts, { startTime: entry.startTime, value: entry.value, forms });
+    }
+
+    function onLongTaskEntry(entry) {
+      pushBounded(FXT._perf.longTasks, { startTime: entry.startTime, duration: entry.duration });
+    }
+
+    const PERF_OBSERVERS = {
+      mark: onTimingEntry,
+      measure: onTimingEntry,
+      'largest-contentful-paint': onLcpEntry,
+      event: onInteractionEntry,
+      'layout-shift': onLayoutShiftEntry,
+      longtask: onLongTaskEntry
+    };
+
+    function observePerformance() {
+      FXT._perfObservers = [];
+      if (!FXT._config.capturePerformance || !global.PerformanceObserver) return;
+      Object.keys(PERF_OBSERVERS).forEach(type => {
+        const handle = entries => entries.forEach(entry => {
+          try { PERF_OBSERVERS[type](entry); } catch (e) { /* ignore */ }
+        });
+        try {
+          const observer = new PerformanceObserver(list => handle(list.getEntries()));
+          const options = { type, buffered: true };
+          if (type === 'event') options.durationThreshold = INP_DURATION_THRESHOLD_MS;
+          observer.observe(options);
+          FXT._perfObservers.push({ observer, handle });
+          onCleanup(() => observer.disconnect());
+        } catch (e) {
+          // entry type not supported by this browser
+        }
+      });
+    }
+
+    function timingsFor(form) {
+      const { formId } = formTags(form);
+      return FXT._formTimings.filter(timing => !timing.formId || timing.formId === formId);
+    }
+
+    // end of the first mark/measure with this name, relative to navigation start
+    function milestone(timings, name) {
+      const timing = timings.find(t => t.name === name);
+      return timing ? Math.round(timing.startTime + timing.duration) : null;
+    }
+
+    function measuredDuration(timings, name) {
+      const timing = timings.find(t => t.name === name);
+      return timing && timing.duration ? Math.round(timing.duration) : null;
+    }
+
+    // the 98th percentile of interaction latency: one outlier is skipped per 50 interactions
+    function inpFor(record) {
+      const interactions = Object.values(FXT._perf.interactions)
+        .filter(interaction => interaction.form === record.form)
+        .sort((a, b) => b.duration - a.duration);
+      if (!interactions.length) return { inpMs: null, inpField: null, interactionCount: 0 };
+      const inp = interactions[Math.min(Math.floor(interactions.length / 50), interactions.length - 1)];
+      const field = inp.target && inp.target.closest ? inp.target.closest('input, select, textarea, button') : null;
+      return {
+        inpMs: Math.round(inp.duration),
+        inpField: field ? fieldIdentity(field).key : null,
+        interactionCount: interactions.length
+      };
+    }
+
+    // largest session window of shifts (gaps under 1s, at most 5s long) caused by the form
+    function clsFor(record) {
+      let max = 0;
+      let current = 0;
+      let first = null;
+      let last = null;
+      FXT._perf.shifts.filter(shift => shift.forms.includes(record.form)).forEach(shift => {
+        if (first !== null && shift.startTime - last < CLS_SESSION_GAP_MS
+          && shift.startTime - first < CLS_SESSION_MAX_MS) {
+          current += shift.value;
+        } else {
+          current = shift.value;
+          first = shift.startTime;
+        }
+        last = shift.startTime;
+        max = Math.max(max, current);
+      });
+      return Math.round(max * 10000) / 10000;
+    }
+
+    // long tasks overlapping one of the form's rule executions are attributed to the rule engine
+    function longTasksFor(timings) {
+      const rules = timings.filter(t => t.name === 'rules');
+      const report = { count: 0, totalMs: 0, ruleCount: 0, ruleMs: 0 };
+      FXT._perf.longTasks.forEach(task => {
+        const end = task.startTime + task.duration;
+        report.count += 1;
+        report.totalMs += task.duration;
+        if (rules.some(rule => rule.startTime < end && rule.startTime + rule.duration > task.startTime)) {
+          report.ruleCount += 1;
+          report.ruleMs += task.duration;
+        }
+      });
+      report.totalMs = Math.round(report.totalMs);
+      report.ruleMs = Math.round(report.ruleMs);
+      return report;
+    }
+
+    function sendPerformanceReport(reason) {
+      if (!FXT._config.capturePerformance || !FXT._perf) return;
+      // entries not yet delivered to the callbacks
+      FXT._perfObservers.forEach(({ observer, handle }) => {
+        if (observer.takeRecords) handle(observer.takeRecords());
+      });
+      FXT._forms.forEach(record => {
+        const timings = timingsFor(record.form);
+        const lcp = FXT._perf.lcp;
+        enqueue(makeEvent('performance', {
+          ...formTags(record.form),
+          reason,
+          fetchFormMs: milestone(timings, 'fetch'),
+          fetchDurationMs: measuredDuration(timings, 'fetch'),
+          renderedMs: milestone(timings, 'render'),
+          renderDurationMs: measuredDuration(timings, 'render'),
+          syncCompleteMs: milestone(timings, 'sync-complete'),
+          interactiveMs: milestone(timings, 'interactive'),
+          lcpMs: lcp ? Math.round(lcp.startTime) : null,
+          lcpInForm: lcp ? lcp.form === record.form : null,
+          ...inpFor(record),
+          cls: clsFor(record),
+          longTasks: longTasksFor(timings)
+        }));
+      });
+    }
+
     /* ---------------------------
      * Public API: init/start/stop
      * --------------------------- */
+    function onBeforeUnload() {
+      FXT._isUnloading = true;
+      try {
+        // the next page resumes from the latest activity
+        writeSession();
+        // Send field metrics summary before session ends
+        sendFieldMetricsSummary('unload');
+        sendPerformanceReport('unload');
+        // add session-end
+        notifyPlugins('onSessionEnd', 'unload');
+        enqueue(makeEvent('session-end', { reason: 'unload', ...throttleReport() }));
+        // attempt final flush
+        flush();
+      } catch (e) {
+        // ignore
+      }
+    }
+
+    // if user navigates away via visibility change, try to send
+    function onVisibilityChange() {
+      onTimingVisibilityChange();
+      if (document.visibilityState === 'visible') {
+        // back from a hidden tab: sends leave the unload path again
+        FXT._isUnloading = false;
+      }
+      if (document.visibilityState === 'hidden') {
+        FXT._isUnloading = true;
+        writeSession();
+        sendFieldMetricsSummary('hidden');
+        sendPerformanceReport('hidden');
+        notifyPlugins('onSessionEnd', 'hidden');
+        enqueue(makeEvent('session-end', { reason: 'hidden', ...throttleReport() }));
+        flush();
+      }
+    }
+
     FXT.init = function (opts) {
       if (FXT._isInitialized) return FXT;
       FXT._config = Object.assign({}, DEFAULTS, opts || {});
-      FXT._sessionId = makeSessionId();
+      FXT._transports = resolveTransports(FXT._config);
+      FXT._pendingEvents = [];
+      FXT._droppedPreConsent = 0;
+      FXT._timelineEntries = [];
+      FXT._outboxReplayed = false;
+      FXT._buckets = {};
+      FXT._throttled = {};
+      resolveConsent(FXT._config);
+      const continuity = loadOrStartSession();
+      FXT._sessionId = FXT._session.id;
       FXT._isUnloading = false;
       FXT._isInitialized = true;
+      FXT._forms = [];
+      FXT._fieldMetrics = {};
   
-      // locate form
-      const form = document.querySelector(FXT._config.formSelector);
-      if (!form) {
-        console.warn('FXT: form not found for selector', FXT._config.formSelector);
-        // still set up global handlers
-      } else {
-        attachFormListeners(form);
-        observeMutations(form);
-      }
+      // console, network and mutation capture, then FXT.use() plugins
+      setupPlugins();
+      // instrument every form on the page, including ones rendered later
+      watchForForms();
+      listen(document, 'form:model-ready', onModelReady);
+      listen(document, 'form:redirect', onFormRedirect);
+      listen(document, 'form:replaced', onFormReplaced);
   
-      if (FXT._config.enableConsoleWrap) wrapConsole();
       wireWindowErrors();
-      wrapFetch();
-      wrapXHR();
+      resetPerformance();
+      observePerformance();
   
-      // capture page load event
-      enqueue(makeEvent('session-start', { url: location.pathname }));
+      // capture page load event: a new session, or the next page of a stored one
+      if (continuity.resumed) {
+        enqueue(makeEvent('session-resume', {
+          url: pageUrl(),
+          pageSeq: FXT._session.pageSeq,
+          sessionAgeMs: Date.now() - FXT._session.startedAt,
+          idleMs: continuity.idleMs,
+          redirect: continuity.redirect,
+          sampleRate: FXT._session.sample.rate
+        }));
+      } else {
+        enqueue(makeEvent('session-start', {
+          url: pageUrl(), pageSeq: 1, reason: continuity.expired ? 'expired' : 'new', sampleRate: FXT._session.sample.rate
+        }));
+      }
   
       // set up flush interval
       scheduleFlush();
+      // send what a previous page load could not deliver
+      replayPersistedBatches();
+      listen(window, 'online', onOnline);
   
       // handle unload/visibility change: flush remaining events
-      window.addEventListener('beforeunload', () => {
-        FXT._isUnloading = true;
-        try {
-          // Send field metrics summary before session ends
-          sendFieldMetricsSummary('unload');
-          // add session-end
-          enqueue(makeEvent('session-end', { reason: 'unload' }));
-          // attempt final flush
-          flush();
-        } catch (e) {
-          // ignore
-        }
-      });
-  
-      // if user navigates away via visibility change, try to send
-      document.addEventListener('visibilitychange', () => {
-        if (document.visibilityState === 'hidden') {
-          FXT._isUnloading = true;
-          sendFieldMetricsSummary('hidden');
-          enqueue(makeEvent('session-end', { reason: 'hidden' }));
-          flush();
-        }
-      });
+      listen(window, 'beforeunload', onBeforeUnload);
+      listen(document, 'visibilitychange', onVisibilityChange);
   
       // small heartbeat / keepalive event occasionally so session isn't empty
       // Also send field metrics summary periodically for ongoing analysis
-      setInterval(() => {
-        enqueue(makeEvent('heartbeat', { tSinceStart: Math.round((perfNow() - FXT._startedAt) / 1000) }));
+      FXT._heartbeatTimer = setInterval(() => {
+        enqueue(makeEvent('heartbeat', { tSinceStart: Math.round((perfNow() - FXT._startedAt) / 1000), ...throttleReport() }));
         // Send field analytics snapshot every minute
-        if (Object.keys(FXT._fieldMetrics).length > 0) {
+        if (hasFieldMetrics()) {
           sendFieldMetricsSummary('periodic');
         }
       }, 30000);
@@ -779,20 +3537,111 @@
       return FXT;
     };
   
+    // programmatic API for step transitions in custom single-page wizards
+    FXT.stepTransition = function (from, to) {
+      enqueue(makeEvent('step-transition', { fromStep: from, toStep: to }));
+      noteTimeline('step', null, { fromStep: from, toStep: to });
+      logDebug('programmatic step transition', from, to);
+    };
+
+    // undoes init: listeners, observers, plugins and patched globals (console.error, fetch,
+    // XMLHttpRequest) are released and every timer is cleared, so init can run again
+    function teardown() {
+      FXT._isInitialized = false;
+      clearInterval(FXT._heartbeatTimer);
+      FXT._heartbeatTimer = null;
+      clearTimeout(FXT._flushTimer);
+      FXT._flushTimer = null;
+      clearTimeout(FXT._retryTimer);
+      FXT._retryTimer = null;
+      // a send in flight finishes without draining further; unsent batches stay in IndexedDB
+      FXT._drainGeneration++;
+      FXT._sending = false;
+      FXT._outbox = [];
+      runCleanups(FXT._cleanups);
+      FXT._activePlugins = [];
+      FXT._perfObservers = [];
+      FXT._discoveryObserver = null;
+      FXT._currentFocusedForm = null;
+      FXT._currentFocusedField = null;
+      FXT._focusTiming = null;
+    }
+
+    // safe to call more than once; only the first call after init reports and tears down
     FXT.stop = function () {
+      if (!FXT._isInitialized) return FXT;
       try {
-        if (FXT._mo) FXT._mo.disconnect();
-        FXT._isInitialized = false;
-        clearTimeout(FXT._flushTimer);
         // Send field metrics summary
         sendFieldMetricsSummary('stop');
+        sendPerformanceReport('stop');
         // final flush
-        enqueue(makeEvent('session-end', { reason: 'stop' }));
+        notifyPlugins('onSessionEnd', 'stop');
+        enqueue(makeEvent('session-end', { reason: 'stop', ...throttleReport() }));
         flush();
       } catch (e) { /* ignore */ }
+      teardown();
+      // never consented to: discarded with the page
+      FXT._pendingEvents = [];
+      // after the final batch has been handed to the transports
+      Promise.resolve().then(closeTransports);
+      logDebug('FXT stopped', FXT._sessionId);
+      return FXT;
     };
   
+    // registers a plugin (see Plugins); before init it is set up by init, after init
+    // right away. A second plugin with the same name is ignored
+    FXT.use = function (plugin) {
+      if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+        logDebug('plugin without a name ignored', plugin);
+        return FXT;
+      }
+      const known = BUILTIN_PLUGINS.concat(FXT._plugins).some(p => p.name === plugin.name);
+      if (known) {
+        logDebug('plugin already registered', plugin.name);
+        return FXT;
+      }
+      const unknownHooks = Object.keys(plugin).filter(key => key !== 'name' && !PLUGIN_HOOKS.includes(key));
+      if (unknownHooks.length) logDebug('plugin has unknown hooks', plugin.name, unknownHooks);
+      FXT._plugins.push(plugin);
+      if (FXT._isInitialized) activatePlugin(plugin);
+      return FXT;
+    };
+
+    // consent from the site's CMP, per category; omitted categories keep their state.
+    // May be called before init. Ignored while a privacy signal (GPC/DNT) is honored
+    FXT.setConsent = function (consent) {
+      const choice = Object.assign({}, FXT._consentChoice, consent);
+      if (FXT._config.honorPrivacySignals && privacySignal()) {
+        logDebug('Consent ignored, privacy signal', privacySignal());
+        return FXT;
+      }
+      FXT._consentChoice = choice;
+      resolveConsent(FXT._config);
+      applyConsent();
+      logDebug('Consent', FXT._consent);
+      return FXT;
+    };
+
+    FXT.getConsent = function () {
+      return Object.assign({ source: FXT._consentSource }, FXT._consent);
+    };
+
+    // transport factories for FXT.init({ transports: [...] })
+    FXT.transports = {
+      fetch: fetchTransport,
+      beacon: beaconTransport,
+      websocket: websocketTransport,
+      postMessage: postMessageTransport,
+      callback: callbackTransport
+    };
+
+    FXT.schemaVersion = SCHEMA_VERSION;
+    FXT.version = SDK_VERSION;
+
     // exported for dev/debug
+    FXT._fieldIdentity = fieldIdentity;
+    FXT._scrubText = scrubText;
+    FXT._scrubUrl = scrubUrl;
     global.FXT = FXT;
   })(window);
   
\ No newline at end of file
@@ -0,0 +1,184 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { gzipSync } from 'zlib';
+import { createCollector, createNdjsonStore } from '../../tools/fxt-collector.js';
+
+function request(server, method, urlPath, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1', port: server.address().port, method, path: urlPath, headers,
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString();
+        resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+const post = (server, payload, headers) => request(server, 'POST', '/api/fxt/events', payload, headers);
+
+function batch(batchId, events, extra = {}) {
+  return JSON.stringify({
+    schemaVersion: 1, sdkVersion: '1.0.0', encoding: 'json', batchId, sessionId: 'session-1', pageSeq: 1, events, ...extra,
+  });
+}
+
+function analytics(t, painPoints, focusCount) {
+  return {
+    type: 'field-analytics',
+    t,
+    formId: 'contact',
+    painPoints,
+    allFieldMetrics: [{ field: 'email', fieldType: 'email', focusCount }],
+  };
+}
+
+describe('FXT collector', () => {
+  let dir;
+  let file;
+  let server;
+
+  beforeEach((done) => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fxt-collector-'));
+    file = path.join(dir, 'events.ndjson');
+    server = createCollector({ store: createNdjsonStore(file) });
+    server.listen(0, '127.0.0.1', done);
+  });
+
+  afterEach((done) => {
+    server.close(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      done();
+    });
+  });
+
+  it('stores each batch once, acknowledging retried batch ids', async () => {
+    const body = batch('batch-1', [{ type: 'session-start', t: 1 }, { type: 'focus', t: 5, field: 'email' }]);
+    const first = await post(server, body, { 'Content-Type': 'application/json' });
+    const retry = await post(server, body, { 'Content-Type': 'application/json' });
+
+    assert.equal(first.status, 202);
+    assert.equal(first.body.accepted, 2);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.duplicate, true);
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+    assert.equal(lines.length, 2);
+    assert.equal(lines[1].sessionId, 'session-1');
+    assert.equal(lines[1].batchId, 'batch-1');
+    assert.ok(createNdjsonStore(file).hasBatch('batch-1'));
+  });
+
+  it('accepts gzipped compact bodies and beacon text/plain bodies', async () => {
+    const compact = JSON.stringify({
+      schemaVersion: 1,
+      encoding: 'compact',
+      batchId: 'batch-2',
+      sessionId: 'session-1',
+      keys: ['type', 't', 'field'],
+      dict: ['focus', 'email'],
+      coded: [0, 2],
+      events: [[0, 0, 1, 7, 2, 1]],
+    });
+    const gzipped = await post(server, gzipSync(compact), { 'Content-Encoding': 'gzip' });
+    const beacon = await post(server, batch('batch-3', [{ type: 'session-end', t: 9 }]), { 'Content-Type': 'text/plain' });
+
+    assert.equal(gzipped.status, 202);
+    assert.equal(beacon.status, 202);
+    const { body } = await request(server, 'GET', '/api/fxt/sessions/session-1');
+    assert.deepEqual(body.events.map((e) => [e.type, e.field]), [['focus', 'email'], ['session-end', undefined]]);
+  });
+
+  it('rejects payloads that do not match the schema', async () => {
+    const missing = await post(server, JSON.stringify({ schemaVersion: 1, events: [{ t: 1 }] }));
+    const garbage = await post(server, 'not json');
+
+    assert.equal(missing.status, 400);
+    assert.ok(missing.body.errors.includes('sessionId must be a non-empty string'));
+    assert.ok(missing.body.errors.includes('events[0].type must be a non-empty string'));
+    assert.equal(garbage.status, 400);
+    assert.equal(fs.existsSync(file), false);
+  });
+
+  it('answers session, field metric and pain point queries from the latest snapshots', async () => {
+    const reasons = { repeatedValidationFailures: true, multipleReturns: false };
+    await post(server, batch('b1', [analytics(10, [], 1), { type: 'submit-attempt', t: 11, formId: 'contact' }]));
+    await post(server, batch('b2', [analytics(20, [{ field: 'email', reasons }], 4)], { pageSeq: 2 }));
+    await post(server, batch('b3', [analytics(5, [{ field: 'email', reasons }], 2)], { sessionId: 'session-2' }));
+
+    const sessions = (await request(server, 'GET', '/api/fxt/sessions')).body;
+    const first = sessions.find((s) => s.sessionId === 'session-1');
+    assert.equal(sessions.length, 2);
+    assert.equal(first.pages, 2);
+    assert.equal(first.submitAttempts, 1);
+    assert.deepEqual(first.forms, ['contact']);
+
+    const [email] = (await request(server, 'GET', '/api/fxt/fields?formId=contact')).body;
+    assert.equal(email.sessions, 2);
+    assert.equal(email.totals.focusCount, 6);
+    assert.equal(email.averages.focusCount, 3);
+
+    const [painPoint] = (await request(server, 'GET', '/api/fxt/pain-points')).body;
+    assert.equal(painPoint.field, 'email');
+    assert.equal(painPoint.sessions, 2);
+    assert.deepEqual(painPoint.reasons, { repeatedValidationFailures: 2 });
+  });
+
+  it('rebuilds a session timeline in sequence order across pages and retries', async () => {
+    const entry = (seq, kind, field) => ({
+      seq, t: seq * 10, kind, form: 'contact', field,
+    });
+    const chunk = (fromSeq, entries) => ({
+      type: 'timeline', t: 1, fromSeq, toSeq: entries[entries.length - 1].seq, entries,
+    });
+    const first = chunk(1, [entry(1, 'enter', 'email'), entry(2, 'exit', 'email')]);
+    const second = chunk(3, [entry(3, 'submit')]);
+    await post(server, batch('b2', [second], { pageSeq: 2 }));
+    await post(server, batch('b1', [first]));
+    await post(server, batch('b1-replay', [first]));
+
+    const { body } = await request(server, 'GET', '/api/fxt/sessions/session-1/timeline');
+    assert.deepEqual(body.entries.map((e) => [e.seq, e.kind, e.pageSeq]), [
+      [1, 'enter', 1], [2, 'exit', 1], [3, 'submit', 2],
+    ]);
+  });
+
+  it('keeps the overlapping timeline entries of two tabs sharing a session', async () => {
+    const chunk = (kind, field) => ({
+      type: 'timeline',
+      t: 1,
+      fromSeq: 4,
+      toSeq: 5,
+      entries: [{ seq: 4, kind, field }, { seq: 5, kind: 'exit', field }],
+    });
+    await post(server, batch('tab-a', [chunk('enter', 'email')], { pageSeq: 3 }));
+    await post(server, batch('tab-b', [chunk('enter', 'phone')], { pageSeq: 4 }));
+
+    const { body } = await request(server, 'GET', '/api/fxt/sessions/session-1/timeline');
+    assert.deepEqual(body.entries.map((e) => [e.seq, e.pageSeq, e.field]), [
+      [4, 3, 'email'], [4, 4, 'phone'], [5, 3, 'email'], [5, 4, 'phone'],
+    ]);
+  });
+
+  it('adds up the attempts of a form that was reset within a session', async () => {
+    const reset = {
+      type: 'form-reset', t: 30, formId: 'contact', formAttempt: 1, snapshot: analytics(30, [], 3),
+    };
+    const secondAttempt = { ...analytics(40, [], 2), formAttempt: 2 };
+    await post(server, batch('b1', [analytics(10, [], 1), reset, secondAttempt]));
+
+    const [email] = (await request(server, 'GET', '/api/fxt/fields?formId=contact')).body;
+    assert.equal(email.sessions, 1);
+    assert.equal(email.attempts, 2);
+    assert.equal(email.totals.focusCount, 5);
+  });
+});
@@ -0,0 +1,1786 @@
+/* eslint-env mocha */
+/* eslint-disable no-underscore-dangle */
+import assert from 'assert';
+import sinon from 'sinon';
+import '../../scripts/fxt-telemetry.js';
+import { handleSubmit, submitError } from '../../blocks/form/submit.js';
+import wizardLayout, { navigate } from '../../blocks/form/components/wizard/wizard.js';
+import decorateAccordion from '../../blocks/form/components/accordion/accordion.js';
+import { Modal } from '../../blocks/form/components/modal/modal.js';
+import transferRepeatableDOM from '../../blocks/form/components/repeat/repeat.js';
+import decorateFile from '../../blocks/form/components/file/file.js';
+import passwordLayout from '../../blocks/form/components/password/password.js';
+import { setSubmitBaseUrl } from '../../blocks/form/constant.js';
+import { decodeBody, decodePayload, FxtDecodeError } from '../../tools/fxt-decoder.js';
+
+const { FXT } = window;
+
+let clock;
+let originals;
+
+// FXT.init patches globals and starts timers; keep both contained to the test
+function startFXT(opts = {}, fetchStub = sinon.stub().resolves({ ok: true, status: 200 })) {
+  originals = {
+    fetch: global.fetch,
+    consoleError: console.error,
+    open: XMLHttpRequest.prototype.open,
+    send: XMLHttpRequest.prototype.send,
+    MutationObserver: global.MutationObserver,
+  };
+  global.MutationObserver = window.MutationObserver;
+  global.fetch = fetchStub;
+  clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date'] });
+  FXT.init({ batchSize: 1000, enableConsoleWrap: false, ...opts });
+}
+
+function stopFXT() {
+  FXT.stop();
+  clock.restore();
+  global.fetch = originals.fetch;
+  console.error = originals.consoleError;
+  XMLHttpRequest.prototype.open = originals.open;
+  XMLHttpRequest.prototype.send = originals.send;
+  global.MutationObserver = originals.MutationObserver;
+  FXT._events = [];
+  FXT._consentChoice = null;
+  FXT._plugins = [];
+}
+
+function eventsOfType(type) {
+  return FXT._events.filter((e) => e.type === type);
+}
+
+const nextTick = () => new Promise((resolve) => { setImmediate(resolve); });
+
+// for work spanning an unknown number of turns (e.g. streams)
+async function until(check, turns = 50) {
+  if (check() || turns === 0) return;
+  await nextTick();
+  await until(check, turns - 1);
+}
+
+function renderForm(html) {
+  const form = document.createElement('form');
+  form.innerHTML = html.trim();
+  document.body.replaceChildren(form);
+  return form;
+}
+
+describe('FXT telemetry', () => {
+  describe('field identity', () => {
+    it('uses the field wrapper data-id, name and render type', () => {
+      const form = renderForm(`
+        <div class="text-wrapper field-firstname field-wrapper" data-id="textinput-1">
+          <input type="text" id="textinput-1" name="firstName">
+        </div>`);
+      const identity = FXT._fieldIdentity(form.querySelector('input'));
+      assert.equal(identity.id, 'textinput-1');
+      assert.equal(identity.name, 'firstName');
+      assert.equal(identity.fieldType, 'text');
+      assert.equal(identity.instance, null);
+      assert.equal(identity.key, 'firstName');
+    });
+
+    it('resolves radio group options to the group fieldset', () => {
+      const form = renderForm(`
+        <fieldset class="radio-group-wrapper field-gender field-wrapper" data-id="radiogroup-1" name="gender">
+          <div class="radio-wrapper"><input type="radio" id="gender-1" name="radiogroup-1_gender" data-field-type="radio-group"></div>
+          <div class="radio-wrapper"><input type="radio" id="gender-2" name="radiogroup-1_gender" data-field-type="radio-group"></div>
+        </fieldset>`);
+      const [first, second] = form.querySelectorAll('input');
+      assert.equal(FXT._fieldIdentity(first).id, 'radiogroup-1');
+      assert.equal(FXT._fieldIdentity(first).fieldType, 'radio-group');
+      assert.equal(FXT._fieldIdentity(first).key, FXT._fieldIdentity(second).key);
+    });
+
+    it('rolls repeated instances up under one logical field', () => {
+      const form = renderForm(`
+        <div class="repeat-wrapper">
+          <fieldset class="panel-wrapper field-wrapper" data-id="panel-1" name="travellers" data-repeatable="true" data-index="0">
+            <div class="text-wrapper field-wrapper" data-id="text-1"><input type="text" id="text-1" name="name"></div>
+          </fieldset>
+          <fieldset class="panel-wrapper field-wrapper" data-id="panel-2" name="travellers" data-repeatable="true" data-index="1">
+            <div class="text-wrapper field-wrapper" data-id="text-2"><input type="text" id="text-2" name="name"></div>
+          </fieldset>
+        </div>`);
+      const [first, second] = [...form.querySelectorAll('input')].map(FXT._fieldIdentity);
+      assert.deepEqual([first.instance, second.instance], [0, 1]);
+      assert.notEqual(first.id, second.id);
+      assert.equal(first.key, 'travellers.name');
+      assert.equal(second.key, first.key);
+    });
+
+    it('prefers the AF model qualifiedName with repeat indices collapsed', () => {
+      const form = renderForm(`
+        <fieldset class="panel-wrapper field-wrapper" data-id="panel-2" name="travellers" data-repeatable="true" data-index="1">
+          <div class="email-wrapper field-wrapper" data-id="email-2"><input type="email" id="email-2" name="email"></div>
+        </fieldset>`);
+      form.formModel = {
+        getElement: (id) => (id === 'email-2' ? { qualifiedName: '$form.travellers[1].email', fieldType: 'email' } : null),
+      };
+      const identity = FXT._fieldIdentity(form.querySelector('input'));
+      assert.equal(identity.qualifiedName, '$form.travellers[1].email');
+      assert.equal(identity.key, '$form.travellers[*].email');
+      assert.equal(identity.instance, 1);
+    });
+  });
+
+  describe('multiple forms', () => {
+    afterEach(stopFXT);
+
+    it('instruments every form, including forms rendered after init', async () => {
+      document.body.innerHTML = `
+        <div class="form"><form data-id="form-a" data-source="aem" data-formpath="/content/forms/af/a">
+          <div class="text-wrapper field-wrapper" data-id="a-1"><input type="text" id="a-1" name="name"></div>
+        </form></div>
+        <div class="form"><form data-id="form-b" data-source="sheet">
+          <div class="text-wrapper field-wrapper" data-id="b-1"><input type="text" id="b-1" name="name"></div>
+        </form></div>`;
+      startFXT();
+      const late = document.createElement('form');
+      late.dataset.id = 'form-c';
+      document.body.append(late);
+      await nextTick();
+
+      const discovered = eventsOfType('form-discovered').map((e) => e.formId);
+      assert.deepEqual(discovered, ['form-a', 'form-b', 'form-c']);
+
+      document.querySelector('#a-1').dispatchEvent(new Event('focus'));
+      document.querySelector('#b-1').dispatchEvent(new Event('focus'));
+      const [focusA, focusB] = eventsOfType('focus');
+      assert.equal(focusA.formId, 'form-a');
+      assert.equal(focusA.formPath, '/content/forms/af/a');
+      assert.equal(focusA.formSource, 'aem');
+      assert.equal(focusB.formId, 'form-b');
+      assert.equal(focusB.formSource, 'sheet');
+      assert.ok(FXT._fieldMetrics['form-a'].name);
+      assert.ok(FXT._fieldMetrics['form-b'].name);
+    });
+  });
+
+  describe('adaptive form model adapter', () => {
+    afterEach(stopFXT);
+
+    function fakeModel() {
+      const listeners = {};
+      return {
+        subscribe: (cb, type) => { listeners[type] = cb; },
+        fire: (type, payload) => listeners[type]({ type, payload }),
+        getElement: () => null,
+      };
+    }
+
+    it('reports rule-driven visibility, validation and items changes', () => {
+      document.body.innerHTML = '<form data-id="af-form" data-source="aem"></form>';
+      startFXT();
+      const form = document.querySelector('form');
+      const model = fakeModel();
+      form.dispatchEvent(new CustomEvent('form:model-ready', { detail: { formModel: model }, bubbles: true }));
+
+      model.fire('fieldChanged', {
+        field: {
+          id: 'text-1', name: 'pan', qualifiedName: '$form.pan', fieldType: 'text-input',
+        },
+        changes: [{ propertyName: 'visible', currentValue: false, prevValue: true }],
+        eventSource: 'code',
+      });
+      model.fire('fieldChanged', {
+        field: {
+          id: 'text-1',
+          name: 'pan',
+          qualifiedName: '$form.pan',
+          fieldType: 'text-input',
+          validity: { valid: false, expressionMismatch: true },
+          validationMessage: 'PAN must match the card holder',
+        },
+        changes: [{ propertyName: 'valid', currentValue: false, prevValue: true }],
+      });
+      model.fire('fieldChanged', {
+        field: {
+          id: 'panel-1', name: 'travellers', qualifiedName: '$form.travellers', fieldType: 'panel', items: [{}, {}], minOccur: 1, maxOccur: 3,
+        },
+        changes: [{ propertyName: 'items', currentValue: { id: 'p2', qualifiedName: '$form.travellers[1]', index: 1 }, prevValue: null }],
+      });
+
+      const [change] = eventsOfType('model-change');
+      assert.equal(change.formId, 'af-form');
+      assert.equal(change.field, '$form.pan');
+      assert.equal(change.property, 'visible');
+      assert.equal(change.value, false);
+      assert.equal(change.eventSource, 'code');
+
+      const [validation] = eventsOfType('model-validation');
+      assert.equal(validation.valid, false);
+      assert.equal(validation.validity.expressionMismatch, true);
+      assert.equal(validation.message, 'PAN must match the card holder');
+      assert.equal(validation.ruleValidationFailures, 1);
+
+      const [items] = eventsOfType('model-items');
+      assert.equal(items.action, 'added');
+      assert.equal(items.itemIndex, 1);
+      assert.equal(items.instanceCount, 2);
+      assert.equal(items.maxOccur, 3);
+    });
+
+    it('attaches to a model restored before the form was instrumented', () => {
+      document.body.innerHTML = '<form data-id="af-form"></form>';
+      const model = fakeModel();
+      document.querySelector('form').formModel = model;
+      startFXT();
+      model.fire('fieldChanged', {
+        field: { id: 'btn-1', name: 'submit', qualifiedName: '$form.submit' },
+        changes: [{ propertyName: 'enabled', currentValue: false, prevValue: true }],
+      });
+      assert.equal(eventsOfType('model-change')[0].property, 'enabled');
+    });
+
+    it('counts nothing from model changes while analytics is denied', () => {
+      document.body.innerHTML = '<form data-id="af-form"></form>';
+      const model = fakeModel();
+      document.querySelector('form').formModel = model;
+      startFXT({ consent: { analytics: false } });
+      model.fire('fieldChanged', {
+        field: {
+          id: 'text-1', name: 'pan', qualifiedName: '$form.pan', validity: { valid: false, customConstraint: true },
+        },
+        changes: [{ propertyName: 'valid', currentValue: false, prevValue: true }],
+      });
+      assert.deepEqual(FXT._fieldMetrics, { 'af-form': {} });
+      assert.deepEqual(FXT._pendingEvents, []);
+    });
+  });
+
+  describe('outbox', () => {
+    afterEach(stopFXT);
+
+    const sentPayloads = () => global.fetch.getCalls().map((call) => JSON.parse(call.args[1].body));
+
+    it('keeps a failed batch and retries it with backoff under the same receipt id', async () => {
+      document.body.innerHTML = '';
+      const fetchStub = sinon.stub().resolves({ ok: true, status: 200 });
+      fetchStub.onFirstCall().rejects(new Error('offline'));
+      startFXT({ retryBaseMs: 1000, retryMaxMs: 8000 }, fetchStub);
+
+      FXT.stepTransition(0, 1);
+      clock.tick(FXT._config.flushIntervalMs);
+      await nextTick();
+      assert.equal(FXT._outbox.length, 1);
+      assert.equal(FXT._outbox[0].attempts, 1);
+
+      clock.tick(1000);
+      await nextTick();
+      assert.equal(FXT._outbox.length, 0);
+      const [first, retry] = sentPayloads();
+      assert.ok(first.batchId);
+      assert.equal(retry.batchId, first.batchId);
+      assert.equal(retry.sessionId, first.sessionId);
+      assert.equal(retry.attempt, 1);
+      assert.ok(retry.events.some((e) => e.type === 'step-transition'));
+    });
+
+    it('drops a batch the collector rejects as malformed', async () => {
+      document.body.innerHTML = '';
+      startFXT({}, sinon.stub().resolves({ ok: false, status: 400 }));
+      FXT.stepTransition(0, 1);
+      clock.tick(FXT._config.flushIntervalMs);
+      await nextTick();
+      assert.equal(FXT._outbox.length, 0);
+      assert.equal(FXT._retryTimer, null);
+    });
+
+    it('evicts the oldest batches beyond the outbox bound', () => {
+      document.body.innerHTML = '';
+      startFXT({ batchSize: 1, outboxMaxBatches: 2 }, sinon.stub().returns(new Promise(() => {})));
+      const evictedBefore = FXT._evictedBatches;
+      const queuedBefore = FXT._outbox.length;
+      [1, 2, 3, 4].forEach((step) => FXT.stepTransition(step - 1, step));
+      assert.equal(FXT._outbox.length, 2);
+      assert.equal(FXT._evictedBatches - evictedBefore, queuedBefore + 4 - 2);
+      assert.deepEqual(FXT._outbox.map((b) => b.events[0].toStep), [3, 4]);
+    });
+
+    describe('persisted in IndexedDB', () => {
+      let rows;
+      let opened;
+
+      // just enough IndexedDB for the outbox: one object store keyed by `id`
+      function fakeIndexedDB() {
+        const db = {
+          createObjectStore() {},
+          transaction() {
+            const tx = {};
+            const request = (result) => {
+              setImmediate(() => tx.oncomplete());
+              return { result };
+            };
+            tx.objectStore = () => ({
+              put: (batch) => request(rows.set(batch.id, JSON.parse(JSON.stringify(batch)))),
+              delete: (id) => request(rows.delete(id)),
+              getAll: () => request([...rows.values()]),
+            });
+            return tx;
+          },
+        };
+        return {
+          open() {
+            opened += 1;
+            const req = { result: db };
+            setImmediate(() => req.onsuccess());
+            return req;
+          },
+        };
+      }
+
+      beforeEach(() => {
+        rows = new Map();
+        opened = 0;
+        window.indexedDB = fakeIndexedDB();
+        // earlier tests cached the missing database
+        FXT._outboxDb = null;
+      });
+
+      afterEach(() => {
+        delete window.indexedDB;
+        FXT._outboxDb = null;
+      });
+
+      it('opens nothing before consent and replays a failed batch under its sessionId on the next init', async () => {
+        document.body.innerHTML = '';
+        startFXT({ requireConsent: true }, sinon.stub().rejects(new Error('offline')));
+        FXT.stepTransition(0, 1);
+        await nextTick();
+        assert.equal(opened, 0);
+
+        FXT.setConsent({ analytics: true });
+        clock.tick(FXT._config.flushIntervalMs);
+        await until(() => [...rows.values()].some((b) => b.attempts > 0));
+        const [stored] = rows.values();
+        const sessionId = FXT._sessionId;
+        stopFXT();
+
+        document.body.innerHTML = '';
+        startFXT({ consent: { diagnostics: false } });
+        await until(() => global.fetch.callCount > 0);
+        const replay = sentPayloads().find((p) => p.batchId === stored.id);
+        assert.equal(replay.sessionId, sessionId);
+        assert.notEqual(FXT._sessionId, sessionId);
+        assert.equal(replay.replayed, true);
+        assert.ok(replay.events.some((e) => e.type === 'step-transition'));
+        await until(() => !rows.has(stored.id));
+        assert.equal(rows.has(stored.id), false);
+      });
+    });
+  });
+
+  describe('pain-point rules', () => {
+    afterEach(stopFXT);
+
+    async function summarize(opts, html, metrics) {
+      const sent = [];
+      const capture = (payload) => { sent.push(...payload.events); };
+      document.body.innerHTML = `<form data-id="apply">${html}</form>`;
+      startFXT({ ...opts, transports: [FXT.transports.callback(capture)] });
+      await nextTick();
+      document.querySelectorAll('input, textarea').forEach((el) => el.dispatchEvent(new Event('focus')));
+      const [bucket] = Object.values(FXT._fieldMetrics);
+      Object.entries(metrics).forEach(([field, values]) => Object.assign(bucket[field], values));
+      clock.tick(30000); // periodic field-analytics snapshot
+      clock.tick(FXT._config.flushIntervalMs);
+      await until(() => sent.some((e) => e.type === 'field-analytics'));
+      return sent.find((e) => e.type === 'field-analytics');
+    }
+
+    const fields = `
+      <div class="text-wrapper field-wrapper" data-id="pan-1"><input type="text" id="pan-1" name="pan"></div>
+      <div class="text-area-wrapper field-wrapper" data-id="address-1" data-fxt-threshold-excessive-time-spent="120000"
+        data-fxt-threshold-multiple-returns="off"><textarea id="address-1" name="address"></textarea></div>`;
+
+    it('reports the rules that fired, the worst severity and a friction score', async () => {
+      const analytics = await summarize({}, fields, {
+        pan: { validationFailures: 4, focusCount: 4 },
+      });
+      const [pan] = analytics.painPoints;
+      assert.equal(pan.field, 'pan');
+      assert.equal(pan.severity, 'high');
+      assert.deepEqual(pan.rules.map((r) => r.id), ['repeatedValidationFailures', 'multipleReturns']);
+      // 3 x min(4 / 2, 3) + 1 x (4 / 3)
+      assert.equal(pan.frictionScore, 7.33);
+      assert.equal(pan.reasons.manyEdits, false);
+    });
+
+    it('applies config rules and per-field data attribute overrides', async () => {
+      const analytics = await summarize({
+        painPointRules: [
+          { id: 'repeatedValidationFailures', threshold: 5 },
+          {
+            id: 'manyPastes', metric: 'pasteCount', threshold: 0, severity: 'low',
+          },
+        ],
+      }, fields, {
+        pan: { validationFailures: 4, pasteCount: 1 },
+        address: { totalTimeSpent: 90000, focusCount: 6 },
+      });
+      assert.deepEqual(analytics.painPoints.map((p) => p.field), ['pan']);
+      assert.deepEqual(analytics.painPoints[0].rules.map((r) => r.id), ['manyPastes']);
+      const address = analytics.allFieldMetrics.find((m) => m.field === 'address');
+      assert.equal(address.frictionScore, 0);
+    });
+  });
+
+  describe('transports', () => {
+    afterEach(stopFXT);
+
+    it('fans a batch out and retries it only for the transport that failed', async () => {
+      const live = sinon.stub().returns(true);
+      const archive = sinon.stub();
+      archive.onFirstCall().returns(false);
+      archive.returns('sent');
+      document.body.innerHTML = '';
+      startFXT({
+        retryBaseMs: 1000,
+        transports: [
+          FXT.transports.callback(live, { name: 'live' }),
+          FXT.transports.callback(archive, { name: 'archive' }),
+        ],
+      });
+
+      FXT.stepTransition(0, 1);
+      clock.tick(FXT._config.flushIntervalMs);
+      await nextTick();
+      assert.equal(live.callCount, 1);
+      assert.equal(archive.callCount, 1);
+      assert.deepEqual(FXT._outbox[0].pending, ['archive']);
+
+      clock.tick(1000);
+      await nextTick();
+      assert.equal(live.callCount, 1);
+      assert.equal(archive.callCount, 2);
+      assert.equal(archive.secondCall.args[0].batchId, live.firstCall.args[0].batchId);
+      assert.equal(FXT._outbox.length, 0);
+    });
+
+    it('drops batches for a postMessage transport outside an embedding frame', async () => {
+      document.body.innerHTML = '';
+      startFXT({ transports: [FXT.transports.postMessage()] });
+      FXT.stepTransition(0, 1);
+      clock.tick(FXT._config.flushIntervalMs);
+      await nextTick();
+      assert.equal(FXT._outbox.length, 0);
+      assert.equal(FXT._retryTimer, null);
+    });
+
+    it('hands the outbox to each transport synchronously on unload', () => {
+      const sink = sinon.stub().returns(true);
+      document.body.innerHTML = '';
+      startFXT({ transports: [FXT.transports.callback(sink)] });
+      FXT.stepTransition(0, 1);
+      window.dispatchEvent(new Event('beforeunload'));
+      assert.equal(sink.callCount, 1);
+      const types = sink.firstCall.args[0].events.map((e) => e.type);
+      assert.ok(types.includes('step-transition'));
+      assert.ok(types.includes('session-end'));
+      assert.equal(FXT._outbox.length, 0);
+    });
+  });
+
+  describe('payloads', () => {
+    afterEach(() => {
+      stopFXT();
+      delete window.CompressionStream;
+    });
+
+    async function sendFieldEvents() {
+      renderForm(`
+        <div class="email-wrapper field-wrapper" data-id="email-1"><input type="email" id="email-1" name="email"></div>`);
+      await nextTick(); // discovery observer instruments the form
+      const input = document.querySelector('input');
+      input.dispatchEvent(new Event('focus'));
+      input.dispatchEvent(new Event('blur'));
+      input.dispatchEvent(new Event('focus'));
+    }
+
+    it('sends a versioned envelope the decoder expands from the compact encoding', async () => {
+      document.body.innerHTML = '';
+      startFXT({ encoding: 'compact' });
+      await sendFieldEvents();
+      const canonical = FXT._events.map((e) => JSON.parse(JSON.stringify(e)));
+      clock.tick(FXT._config.flushIntervalMs);
+      await nextTick();
+
+      const [, init] = global.fetch.firstCall.args;
+      const raw = JSON.parse(init.body);
+      assert.equal(raw.schemaVersion, FXT.schemaVersion);
+      assert.equal(raw.sdkVersion, FXT.version);
+      assert.equal(raw.encoding, 'compact');
+      assert.equal(raw.dict.filter((v) => v === 'email').length, 1);
+
+      const decoded = decodeBody(init.body);
+      assert.equal(decoded.encoding, 'json');
+      assert.deepEqual(decoded.events, canonical);
+    });
+
+    it('gzips large bodies where CompressionStream is available', async () => {
+      window.CompressionStream = global.CompressionStream;
+      document.body.innerHTML = '';
+      startFXT({ compressMinBytes: 0 });
+      await sendFieldEvents();
+      clock.tick(FXT._config.flushIntervalMs);
+      await until(() => global.fetch.called);
+
+      const [, init] = global.fetch.firstCall.args;
+      assert.equal(init.headers['Content-Encoding'], 'gzip');
+      const decoded = decodeBody(Buffer.from(init.body), 'gzip');
+      assert.ok(decoded.events.some((e) => e.type === 'focus' && e.field === 'email'));
+    });
+
+    it('rejects payloads from an unknown schema version', () => {
+      assert.throws(() => decodePayload({ schemaVersion: 99, events: [] }), FxtDecodeError);
+      assert.equal(decodePayload({ sessionId: 's', events: [] }).schemaVersion, 0);
+    });
+  });
+
+  describe('session continuity', () => {
+    let stored;
+
+    beforeEach(() => {
+      // jsdom has no Web Storage on about:blank
+      stored = new Map();
+      Object.defineProperty(window, 'sessionStorage', {
+        configurable: true,
+        value: {
+          getItem: (key) => (stored.has(key) ? stored.get(key) : null),
+          setItem: (key, value) => stored.set(key, String(value)),
+        },
+      });
+      document.body.innerHTML = '';
+    });
+
+    afterEach(() => {
+      delete window.sessionStorage;
+    });
+
+    it('resumes the stored session on the next page load with the next page sequence', () => {
+      startFXT();
+      const sessionId = FXT._sessionId;
+      assert.equal(eventsOfType('session-start')[0].pageSeq, 1);
+      stopFXT();
+
+      startFXT();
+      const [resume] = eventsOfType('session-resume');
+      assert.equal(FXT._sessionId, sessionId);
+      assert.equal(resume.pageSeq, 2);
+      assert.equal(eventsOfType('session-start').length, 0);
+      stopFXT();
+    });
+
+    it('starts a new session once the sliding TTL has lapsed', () => {
+      startFXT({ sessionTtlMs: 1000 });
+      const first = FXT._sessionId;
+      clock.tick(900);
+      FXT.stepTransition(0, 1);
+      clock.tick(900);
+      FXT.stepTransition(1, 2);
+      assert.equal(FXT._sessionId, first);
+
+      clock.tick(1100);
+      FXT.stepTransition(2, 3);
+      assert.notEqual(FXT._sessionId, first);
+      const restart = eventsOfType('session-start').find((e) => e.reason === 'expired');
+      assert.equal(restart.previousSessionId, first);
+      assert.equal(JSON.parse(stored.get('fxt-session')).id, FXT._sessionId);
+      stopFXT();
+    });
+
+    it('lets an idle tab expire although heartbeats and snapshots keep being sent', async () => {
+      const sent = [];
+      const capture = (payload) => { sent.push(...payload.events); };
+      startFXT({ sessionTtlMs: 60000, transports: [FXT.transports.callback(capture)] });
+      const first = FXT._sessionId;
+      const { lastActivity } = FXT._session;
+      clock.tick(10 * 60000);
+      await until(() => sent.some((e) => e.type === 'heartbeat'));
+      assert.ok(sent.some((e) => e.type === 'heartbeat'));
+      assert.equal(FXT._session.lastActivity, lastActivity);
+
+      FXT.stepTransition(0, 1);
+      assert.notEqual(FXT._sessionId, first);
+      assert.equal(eventsOfType('session-start')[0].reason, 'expired');
+      stopFXT();
+    });
+
+    it('attributes the page after a submit redirect to the form session', () => {
+      document.body.innerHTML = '<form data-id="contact"></form>';
+      startFXT();
+      const form = document.querySelector('form');
+      form.dispatchEvent(new CustomEvent('form:redirect', {
+        detail: { redirectUrl: '/thank-you?email=jane@example.com' },
+        bubbles: true,
+      }));
+      assert.equal(eventsOfType('redirect')[0].target, '/thank-you');
+      assert.equal(eventsOfType('redirect')[0].formId, 'contact');
+      stopFXT();
+
+      startFXT();
+      const [resume] = eventsOfType('session-resume');
+      assert.equal(resume.redirect.formId, 'contact');
+      assert.equal(resume.redirect.to, '/thank-you');
+      stopFXT();
+    });
+  });
+
+  describe('submit funnel', () => {
+    beforeEach(() => setSubmitBaseUrl('http://localhost:3000'));
+
+    afterEach(() => {
+      stopFXT();
+      setSubmitBaseUrl('');
+    });
+
+    function renderSubmitForm(source) {
+      document.body.innerHTML = `
+        <div class="form"><form data-id="contact" data-source="${source}" data-action="/contact">
+          <div class="email-wrapper field-wrapper" data-id="email-1"><input type="email" id="email-1" name="email" required></div>
+          <fieldset class="radio-group-wrapper field-wrapper" data-id="radiogroup-1" name="plan">
+            <div class="radio-wrapper"><input type="radio" id="plan-1" name="plan" required></div>
+            <div class="radio-wrapper"><input type="radio" id="plan-2" name="plan" required></div>
+          </fieldset>
+          <button type="submit">Submit</button>
+        </form></div>`;
+      return document.querySelector('form');
+    }
+
+    const submitEvent = () => ({ preventDefault() {} });
+
+    it('reports a submit blocked by client-side validation with the invalid fields', async () => {
+      const form = renderSubmitForm('sheet');
+      startFXT();
+      await handleSubmit(submitEvent(), form);
+
+      assert.equal(eventsOfType('submit-attempt')[0].attempt, 1);
+      const [blocked] = eventsOfType('submit-blocked');
+      assert.equal(blocked.formId, 'contact');
+      assert.deepEqual(blocked.invalidFields.map((f) => f.field), ['email', 'plan']);
+      assert.equal(blocked.invalidFields[0].validity.valueMissing, true);
+      assert.equal(blocked.focusedField, 'email');
+      assert.equal(FXT._fieldMetrics.contact.plan.submitBlocks, 1);
+      assert.equal(eventsOfType('submit-success').length, 0);
+    });
+
+    it('reports the server outcome with status and latency', async () => {
+      const fetchStub = sinon.stub().resolves({ ok: true, status: 200 });
+      fetchStub.onFirstCall().resolves({ ok: false, status: 502, text: () => Promise.resolve('bad gateway') });
+      const form = renderSubmitForm('sheet');
+      form.querySelector('#email-1').value = 'jane@example.com';
+      form.querySelector('#plan-1').checked = true;
+      startFXT({}, fetchStub);
+
+      await handleSubmit(submitEvent(), form);
+      const [failure] = eventsOfType('submit-failure');
+      assert.equal(failure.status, 502);
+      assert.equal(failure.attempt, 1);
+      assert.equal(typeof failure.latencyMs, 'number');
+
+      await handleSubmit(submitEvent(), form);
+      const [success] = eventsOfType('submit-success');
+      assert.equal(success.status, 200);
+      assert.equal(success.attempt, 2);
+      assert.equal(typeof success.latencyMs, 'number');
+    });
+
+    it('does not count a repeated submit while one is in flight as an attempt', async () => {
+      let respond;
+      const fetchStub = sinon.stub().resolves({ ok: true, status: 200 });
+      fetchStub.onFirstCall().returns(new Promise((resolve) => { respond = resolve; }));
+      const form = renderSubmitForm('sheet');
+      form.querySelector('#email-1').value = 'jane@example.com';
+      form.querySelector('#plan-1').checked = true;
+      startFXT({}, fetchStub);
+
+      const first = handleSubmit(submitEvent(), form);
+      await nextTick();
+      await handleSubmit(submitEvent(), form);
+      respond({ ok: true, status: 200 });
+      await first;
+
+      assert.deepEqual(eventsOfType('submit-attempt').map((e) => e.attempt), [1]);
+      assert.equal(eventsOfType('submit-success')[0].attempt, 1);
+    });
+
+    it('reports a client-side submit error without changing the form', () => {
+      const form = renderSubmitForm('aem');
+      startFXT();
+      submitError({ payload: { type: 'FetchCaptchaTokenFailed' } }, form);
+
+      const [failure] = eventsOfType('submit-failure');
+      assert.equal(failure.reason, 'FetchCaptchaTokenFailed');
+      assert.equal(failure.status, null);
+      assert.equal(form.querySelector('.form-message.error-message'), null);
+    });
+  });
+
+  describe('consent', () => {
+    let stored;
+
+    beforeEach(() => {
+      stored = new Map();
+      Object.defineProperty(window, 'sessionStorage', {
+        configurable: true,
+        value: {
+          getItem: (key) => (stored.has(key) ? stored.get(key) : null),
+          setItem: (key, value) => stored.set(key, String(value)),
+          removeItem: (key) => stored.delete(key),
+        },
+      });
+      document.body.innerHTML = '';
+    });
+
+    afterEach(() => {
+      stopFXT();
+      delete window.sessionStorage;
+      delete window.navigator.globalPrivacyControl;
+    });
+
+    async function interact() {
+      renderForm('<div class="text-wrapper field-wrapper" data-id="name-1"><input type="text" id="name-1" name="name"></div>');
+      await nextTick();
+      document.querySelector('input').dispatchEvent(new Event('focus'));
+      window.dispatchEvent(new window.ErrorEvent('error', { message: 'boom' }));
+    }
+
+    const types = (events) => [...new Set(events.map((e) => e.type))];
+
+    it('buffers events in memory until consent and releases only granted categories', async () => {
+      startFXT({ requireConsent: true });
+      await interact();
+      assert.deepEqual(FXT._events, []);
+      assert.deepEqual(types(FXT._pendingEvents), ['session-start', 'form-discovered', 'focus', 'error']);
+      assert.equal(stored.size, 0);
+
+      FXT.setConsent({ analytics: true });
+      assert.deepEqual(types(FXT._events), ['session-start', 'form-discovered', 'focus', 'consent']);
+      assert.deepEqual(types(FXT._pendingEvents), ['error']);
+      assert.ok(stored.has('fxt-session'));
+
+      FXT.setConsent({ diagnostics: false });
+      const consent = eventsOfType('consent').pop();
+      assert.deepEqual(FXT._pendingEvents, []);
+      assert.equal(eventsOfType('error').length, 0);
+      assert.equal(consent.diagnostics, 'denied');
+      assert.ok(consent.droppedEvents > 0);
+    });
+
+    it('gates console and network diagnostics separately from field analytics', async () => {
+      startFXT({ consent: { diagnostics: false } });
+      await interact();
+      assert.equal(eventsOfType('focus').length, 1);
+      assert.equal(eventsOfType('error').length, 0);
+      assert.deepEqual(FXT.getConsent(), { source: 'config', analytics: 'granted', diagnostics: 'denied' });
+    });
+
+    it('honors Global Privacy Control over later consent', async () => {
+      Object.defineProperty(window.navigator, 'globalPrivacyControl', { configurable: true, value: true });
+      startFXT();
+      await interact();
+      FXT.setConsent({ analytics: true, diagnostics: true });
+
+      assert.deepEqual(FXT._events, []);
+      assert.deepEqual(FXT._pendingEvents, []);
+      assert.ok(Object.values(FXT._fieldMetrics).every((bucket) => !Object.keys(bucket).length));
+      assert.equal(FXT.getConsent().source, 'gpc');
+      assert.equal(stored.size, 0);
+    });
+  });
+
+  describe('redaction', () => {
+    afterEach(stopFXT);
+
+    async function summaries(html, opts = {}, setup = () => {}) {
+      const form = renderForm(html);
+      setup(form);
+      startFXT(opts);
+      await nextTick();
+      form.querySelectorAll('input').forEach((el) => el.dispatchEvent(new Event('focus')));
+      return Object.fromEntries(eventsOfType('focus').map((e) => [e.fieldName, e.valueSummary]));
+    }
+
+    it('derives levels from type, autocomplete tokens and data-fxt-sensitive', async () => {
+      const valueSummary = await summaries(`
+        <div class="text-wrapper field-wrapper" data-id="pw-1"><input type="password" name="pw" value="hunter2"></div>
+        <div class="text-wrapper field-wrapper" data-id="card-1"><input name="card" autocomplete="cc-number" value="4111"></div>
+        <div class="email-wrapper field-wrapper" data-id="mail-1"><input name="mail" autocomplete="home email" value="a@b.c"></div>
+        <div class="text-wrapper field-wrapper" data-id="city-1"><input name="city" autocomplete="postal-code" value="10115"></div>
+        <fieldset class="panel-wrapper field-wrapper" data-id="ssn-panel" data-fxt-sensitive>
+          <div class="text-wrapper field-wrapper" data-id="ssn-1"><input name="ssn" value="123"></div>
+        </fieldset>
+        <div class="text-wrapper field-wrapper" data-id="nick-1"><input name="nick" value="abc1"></div>`);
+
+      assert.deepEqual(valueSummary.pw, { redaction: 'exclude' });
+      assert.deepEqual(valueSummary.card, { redaction: 'exclude' });
+      assert.deepEqual(valueSummary.mail, { redaction: 'presence', present: true });
+      assert.deepEqual(valueSummary.city, { redaction: 'bucket', lengthBucket: '5-9' });
+      assert.deepEqual(valueSummary.ssn, { redaction: 'exclude' });
+      assert.deepEqual(valueSummary.nick, { length: 4, kind: 'alphanum' });
+    });
+
+    it('applies config and AF model levels', async () => {
+      const html = `
+        <div class="text-wrapper field-wrapper" data-id="iban-1"><input name="iban" value="DE89"></div>
+        <div class="text-wrapper field-wrapper" data-id="income-1"><input name="income" autocomplete="off" value="52000"></div>`;
+      const withModel = (form) => {
+        // eslint-disable-next-line no-param-reassign
+        form.formModel = {
+          getElement: (id) => (id === 'income-1' ? { properties: { 'fxt:redaction': 'bucket' } } : null),
+        };
+      };
+      const valueSummary = await summaries(html, { redaction: { iban: 'presence' } }, withModel);
+
+      assert.deepEqual(valueSummary.iban, { redaction: 'presence', present: true });
+      assert.deepEqual(valueSummary.income, { redaction: 'bucket', lengthBucket: '5-9' });
+    });
+
+    it('never reads the value of an excluded field, even after a password is revealed', async () => {
+      const form = renderForm(`
+        <div class="text-wrapper field-wrapper" data-id="pw-1"><input type="password" name="pw"></div>`);
+      const input = form.querySelector('input');
+      const read = sinon.spy(() => 'secret');
+      Object.defineProperty(input, 'value', { configurable: true, get: read });
+      startFXT();
+      await nextTick();
+
+      input.dispatchEvent(new Event('focus'));
+      input.setAttribute('type', 'text'); // password component's reveal toggle
+      input.dispatchEvent(new Event('change'));
+      input.dispatchEvent(new Event('blur'));
+
+      assert.equal(read.callCount, 0);
+      assert.deepEqual(eventsOfType('change')[0].valueSummary, { redaction: 'exclude' });
+    });
+
+    it('keeps a password excluded when it is revealed before the first focus', async () => {
+      const form = renderForm(`
+        <div class="text-wrapper field-wrapper" data-id="pw-1"><input type="text" name="pw"></div>`);
+      const input = form.querySelector('input');
+      const read = sinon.spy(() => 'hunter2!');
+      Object.defineProperty(input, 'value', { configurable: true, get: read });
+      startFXT();
+      await nextTick();
+
+      // the component decorates after the form was bound, then the user reveals
+      passwordLayout(form.querySelector('.field-wrapper'));
+      form.querySelector('#togglePassword').click();
+      await nextTick();
+      assert.equal(input.type, 'text');
+      input.dispatchEvent(new Event('focus'));
+      input.dispatchEvent(new Event('change'));
+
+      assert.equal(read.callCount, 0);
+      assert.deepEqual(eventsOfType('focus')[0].valueSummary, { redaction: 'exclude' });
+      assert.deepEqual(eventsOfType('change')[0].valueSummary, { redaction: 'exclude' });
+    });
+  });
+
+  describe('scrubbing', () => {
+    afterEach(stopFXT);
+    // after stopFXT put back the console.error it found
+    afterEach(() => sinon.restore());
+
+    it('strips query strings and fragments except allow-listed parameters', () => {
+      startFXT({ urlAllowParams: ['lang', 'ref'] });
+      assert.equal(
+        FXT._scrubUrl('/adobe/forms/af/data/L2NvbnRlbnQ?email=jane%40example.com&token=abc#step-2'),
+        '/adobe/forms/af/data/L2NvbnRlbnQ',
+      );
+      assert.equal(
+        FXT._scrubUrl('https://example.com/apply?lang=de&token=abc&ref=jane@example.com'),
+        'https://example.com/apply?lang=de&ref=%5Bemail%5D',
+      );
+    });
+
+    it('replaces emails, phone and card numbers in messages', () => {
+      startFXT();
+      assert.equal(
+        FXT._scrubText('No account for jane.doe@example.com, call +49 151 2345 6789 or (555) 123-4567'),
+        'No account for [email], call [phone] or [phone]',
+      );
+      assert.equal(FXT._scrubText('card 4111 1111 1111 1111 declined'), 'card [card] declined');
+      // not a valid card number, not a phone number
+      assert.equal(FXT._scrubText('request 1234567890123 failed on 2024-01-15'), 'request 1234567890123 failed on 2024-01-15');
+    });
+
+    it('applies configured patterns and a custom scrubber', () => {
+      startFXT({
+        scrubPatterns: [{ pattern: /\bDE\d{20}\b/, replacement: '[iban]' }],
+        scrubber: (text, kind) => (kind === 'message' ? text.toUpperCase() : text),
+      });
+      assert.equal(FXT._scrubText('iban DE89370400440532013000 invalid'), 'IBAN [IBAN] INVALID');
+      assert.equal(FXT._scrubUrl('/x/DE89370400440532013000?a=1'), '/x/[iban]');
+    });
+
+    it('scrubs redirect targets and page URLs, path segments included', () => {
+      document.body.innerHTML = '<form data-id="contact"></form>';
+      startFXT({ scrubber: (text, kind) => (kind === 'url' ? `${text}#scrubbed` : text) });
+      document.querySelector('form').dispatchEvent(new CustomEvent('form:redirect', {
+        detail: { redirectUrl: `${window.location.origin}/confirm/jane@example.com?token=abc#done` },
+        bubbles: true,
+      }));
+
+      const [redirect] = eventsOfType('redirect');
+      assert.equal(redirect.target, '/confirm/[email]#scrubbed');
+      assert.ok(eventsOfType('session-start')[0].url.endsWith('#scrubbed'));
+      assert.ok(FXT._session.redirect.from.endsWith('#scrubbed'));
+    });
+
+    it('scrubs failed request URLs and console messages before they are queued', async () => {
+      // jsdom has no window.fetch; wrapFetch patches the page's
+      window.fetch = sinon.stub().resolves({ ok: false, status: 404, statusText: 'Not Found' });
+      sinon.stub(console, 'error');
+      startFXT({ enableConsoleWrap: true });
+      try {
+        await window.fetch('/adobe/forms/af/data/abc?email=jane@example.com');
+        // eslint-disable-next-line no-console
+        console.error('Prefill failed for jane@example.com');
+      } finally {
+        delete window.fetch;
+      }
+
+      const [network, consoleError] = eventsOfType('error');
+      assert.equal(network.url, '/adobe/forms/af/data/abc');
+      assert.equal(consoleError.message, 'Prefill failed for [email]');
+    });
+  });
+
+  describe('sampling', () => {
+    let stored;
+
+    beforeEach(() => {
+      stored = new Map();
+      Object.defineProperty(window, 'sessionStorage', {
+        configurable: true,
+        value: {
+          getItem: (key) => (stored.has(key) ? stored.get(key) : null),
+          setItem: (key, value) => stored.set(key, String(value)),
+        },
+      });
+      document.body.innerHTML = '';
+    });
+
+    afterEach(() => {
+      stopFXT();
+      sinon.restore();
+      delete window.sessionStorage;
+      delete window.hlx;
+    });
+
+    it('keeps the session decision across pages and sends only a minimal conversion when sampled out', async () => {
+      startFXT({ sampleRate: 0 });
+      stopFXT();
+      startFXT({ sampleRate: 1 });
+      const form = renderForm('<div class="text-wrapper field-wrapper" data-id="name-1"><input type="text" name="name"></div>');
+      form.dataset.id = 'apply';
+      await nextTick();
+      form.querySelector('input').dispatchEvent(new Event('focus'));
+      form.dispatchEvent(new CustomEvent('submit:attempt', { detail: { source: 'sheet' } }));
+      form.dispatchEvent(new CustomEvent('submit:success', { detail: { status: 200 } }));
+
+      assert.deepEqual(FXT._session.sample, { rate: 0, selected: false });
+      assert.deepEqual(FXT._events.map(({ t, ...e }) => e), [{
+        type: 'submit-success', formId: 'apply', formPath: null, formSource: null, attempt: 1, status: 200, sampled: false, sampleRate: 0,
+      }]);
+    });
+
+    it('limits noisy event types with token buckets and reports what was throttled', () => {
+      sinon.stub(console, 'error');
+      startFXT({ enableConsoleWrap: true, rateLimits: { 'error:console': { perMinute: 60, burst: 2 } } });
+      // eslint-disable-next-line no-console
+      const log = () => console.error('failed');
+      [1, 2, 3, 4].forEach(log);
+      clock.tick(1000); // refills one token
+      log();
+
+      assert.equal(eventsOfType('error').length, 3);
+      clock.tick(29000);
+      assert.deepEqual(eventsOfType('heartbeat')[0].throttled, { 'error:console': 2 });
+    });
+
+    it('applies per-type sampling rates', () => {
+      startFXT({ eventSampleRates: { heartbeat: 0 } });
+      clock.tick(30000);
+
+      assert.equal(eventsOfType('heartbeat').length, 0);
+      assert.deepEqual(FXT._throttled, { heartbeat: 1 });
+    });
+
+    it('can follow the RUM sampling weight', () => {
+      window.hlx = { rum: { weight: 100 } };
+      startFXT({ useRumWeight: true, sampleRate: 1 });
+
+      assert.equal(FXT._session.sample.rate, 0.01);
+      assert.equal(JSON.parse(stored.get('fxt-session')).sample.rate, 0.01);
+    });
+  });
+
+  describe('field timing', () => {
+    let now;
+    let visibility;
+
+    beforeEach(() => {
+      now = 0;
+      visibility = 'visible';
+      sinon.stub(performance, 'now').callsFake(() => now);
+      Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => visibility });
+    });
+
+    afterEach(() => {
+      stopFXT();
+      sinon.restore();
+      delete document.visibilityState;
+    });
+
+    function setVisibility(state) {
+      visibility = state;
+      document.dispatchEvent(new Event('visibilitychange'));
+    }
+
+    it('splits a visit into typing, idle and first-input time without hidden-tab time', async () => {
+      const form = renderForm('<div class="text-wrapper field-wrapper" data-id="name-1"><input type="text" name="name"></div>');
+      startFXT();
+      await nextTick();
+      const input = form.querySelector('input');
+      const key = (at, k) => {
+        now = at;
+        input.dispatchEvent(new window.KeyboardEvent('keydown', { key: k, bubbles: true }));
+      };
+
+      input.dispatchEvent(new Event('focus'));
+      key(3000, 'a');
+      key(3200, 'b');
+      key(3500, 'Backspace');
+      now = 4000;
+      setVisibility('hidden');
+      now = 64000;
+      setVisibility('visible');
+      key(65000, 'c'); // the gap across the hidden tab is not cadence
+      key(65100, 'd');
+      key(65200, 'Tab');
+      now = 70000;
+      input.dispatchEvent(new Event('blur'));
+
+      const [blur] = eventsOfType('blur');
+      assert.equal(blur.timeSpentMs, 10000);
+      assert.equal(blur.hiddenTimeMs, 60000);
+      assert.equal(blur.activeTimeMs, 600);
+      assert.equal(blur.idleTimeMs, 9400);
+      assert.equal(blur.timeToFirstInputMs, 3000);
+      assert.equal(blur.keyGapMedianMs, 200);
+      assert.equal(blur.keyGapP90Ms, 300);
+      const [metrics] = Object.values(Object.values(FXT._fieldMetrics)[0]);
+      assert.equal(metrics.totalTimeSpent, 10000);
+      assert.equal(metrics.timeToFirstInputMs, 3000);
+    });
+
+    it('counts a focused field without input as idle', async () => {
+      const form = renderForm('<div class="drop-down-wrapper field-wrapper" data-id="plan-1"><select name="plan"><option>a</option></select></div>');
+      startFXT();
+      await nextTick();
+      const select = form.querySelector('select');
+
+      select.dispatchEvent(new Event('focus'));
+      now = 1500;
+      select.dispatchEvent(new Event('input', { bubbles: true }));
+      now = 5000;
+      select.dispatchEvent(new Event('blur'));
+
+      const [blur] = eventsOfType('blur');
+      assert.equal(blur.activeTimeMs, 0);
+      assert.equal(blur.idleTimeMs, 5000);
+      assert.equal(blur.timeToFirstInputMs, 1500);
+      assert.equal(blur.keyGapMedianMs, null);
+    });
+  });
+
+  describe('frustration signals', () => {
+    let now;
+
+    beforeEach(() => {
+      now = 0;
+      sinon.stub(performance, 'now').callsFake(() => now);
+    });
+
+    afterEach(() => {
+      stopFXT();
+      sinon.restore();
+    });
+
+    const press = (el, at, x = 10, y = 10) => {
+      now = at;
+      el.dispatchEvent(new window.MouseEvent('pointerdown', { bubbles: true, clientX: x, clientY: y }));
+    };
+    const frustrations = (kind) => eventsOfType('frustration').filter((e) => e.kind === kind);
+
+    it('detects rage clicks in a small area and dead clicks with the field they hit', async () => {
+      const form = renderForm(`
+        <div class="button-wrapper field-wrapper" data-id="next-1"><button type="button" name="next" disabled>Next</button></div>
+        <div class="text-wrapper field-wrapper" data-id="name-1"><label>Name</label><input type="text" name="name"></div>
+        <div class="rating-wrapper field-wrapper" data-id="stars-1">
+          <input type="number" name="stars"><div class="rating disabled"><span class="star">★</span></div>
+        </div>`);
+      startFXT();
+      await nextTick();
+      const button = form.querySelector('button');
+
+      press(button, 0);
+      press(button, 300, 14, 12);
+      press(form.querySelector('label'), 400, 300, 300); // far away: not part of the burst
+      press(button, 600, 12, 8);
+      press(form.querySelector('.star'), 2000, 500, 500);
+
+      const [rage] = frustrations('rage-click');
+      assert.equal(rage.fieldId, 'next-1');
+      assert.equal(rage.clickCount, 3);
+      assert.deepEqual(frustrations('dead-click').map((e) => [e.fieldName, e.reason]), [
+        ['next', 'disabled-control'],
+        ['next', 'disabled-control'],
+        ['name', 'unbound-label'],
+        ['next', 'disabled-control'],
+        ['stars', 'disabled-rating'],
+      ]);
+    });
+
+    it('detects focus thrash between two fields and feeds it into pain points', async () => {
+      const form = renderForm(`
+        <div class="text-wrapper field-wrapper" data-id="a-1"><input type="text" name="a"></div>
+        <div class="text-wrapper field-wrapper" data-id="b-1"><input type="text" name="b"></div>`);
+      startFXT();
+      await nextTick();
+      const [a, b] = form.querySelectorAll('input');
+
+      [a, b, a, b].forEach((el, i) => {
+        now = i * 500;
+        el.dispatchEvent(new Event('focus'));
+      });
+      const [thrash] = frustrations('focus-thrash');
+      assert.deepEqual(thrash.fields, ['a', 'b']);
+      assert.equal(thrash.field, 'b');
+
+      clock.tick(30000); // periodic field-analytics snapshot
+      const [analytics] = eventsOfType('field-analytics');
+      assert.deepEqual(analytics.painPoints.map((p) => [p.field, p.rules[0].id]), [['a', 'focusThrash'], ['b', 'focusThrash']]);
+    });
+  });
+
+  describe('wizard steps', () => {
+    let now;
+
+    beforeEach(() => {
+      now = 0;
+      sinon.stub(performance, 'now').callsFake(() => now);
+    });
+
+    afterEach(() => {
+      stopFXT();
+      sinon.restore();
+    });
+
+    function renderWizard() {
+      const form = renderForm(`
+        <fieldset class="panel-wrapper field-wrapper" id="wizard-1" data-id="wizard-1">
+          <fieldset class="panel-wrapper field-wrapper" id="step-1" data-id="step-1"><legend>Contact</legend>
+            <div class="email-wrapper field-wrapper" data-id="email-1"><input type="email" id="email-1" name="email" required></div>
+            <div class="text-wrapper field-wrapper" data-id="nick-1" data-visible="false"><input type="text" id="nick-1" name="nickname" required></div>
+          </fieldset>
+          <fieldset class="panel-wrapper field-wrapper" id="step-2" data-id="step-2"><legend>Plan</legend></fieldset>
+          <fieldset class="panel-wrapper field-wrapper" id="step-3" data-id="step-3"><legend>Review</legend></fieldset>
+        </fieldset>`);
+      form.dataset.id = 'apply';
+      return wizardLayout(form.querySelector('fieldset'));
+    }
+
+    it('reports blocked Next with the invalid fields and transitions with time on the step', async () => {
+      const panel = renderWizard();
+      startFXT();
+      await nextTick();
+
+      now = 1000;
+      navigate(panel);
+      const [blocked] = eventsOfType('step-blocked');
+      assert.equal(blocked.wizard, 'wizard-1');
+      assert.equal(blocked.stepId, 'step-1');
+      // the hidden required field is not validated, so it is not blamed
+      assert.deepEqual(blocked.invalidFields.map((f) => [f.field, f.stepBlocks]), [['email', 1]]);
+      assert.equal(FXT._fieldMetrics.apply.email.submitBlocks, 0);
+
+      panel.querySelector('input').value = 'jane@example.com';
+      now = 5000;
+      navigate(panel);
+      now = 7000;
+      navigate(panel, false);
+      assert.deepEqual(eventsOfType('step-transition').map((e) => [e.fromStep, e.toStep, e.trigger, e.timeInStepMs]), [
+        [0, 1, 'next', 5000],
+        [1, 0, 'back', 2000],
+      ]);
+
+      now = 9000;
+      clock.tick(30000); // periodic field-analytics snapshot
+      const [{ wizards: [funnel] }] = eventsOfType('field-analytics');
+      assert.equal(funnel.stepCount, 3);
+      assert.equal(funnel.currentStep, 0);
+      assert.equal(funnel.furthestStep, 1);
+      assert.deepEqual(funnel.navigations, { next: 1, back: 1, jump: 0 });
+      assert.deepEqual(funnel.steps.map((s) => [s.step, s.reached, s.visits, s.timeMs, s.blocks]), [
+        ['step-1', true, 2, 7000, 1],
+        ['step-2', true, 1, 2000, 0],
+        ['step-3', false, 0, 0, 0],
+      ]);
+    });
+
+    it('reports menu or rule-driven jumps with the skipped steps', async () => {
+      const panel = renderWizard();
+      startFXT();
+      await nextTick();
+
+      now = 3000;
+      panel.querySelector('#step-3').dataset.active = true;
+      await nextTick();
+
+      const [jump] = eventsOfType('step-transition');
+      assert.equal(jump.trigger, 'jump');
+      assert.equal(jump.toStepId, 'step-3');
+      assert.equal(jump.skippedSteps, 1);
+      assert.equal(jump.timeInStepMs, 3000);
+    });
+  });
+
+  describe('accordions and modals', () => {
+    let now;
+    const dialog = window.HTMLDialogElement.prototype;
+
+    beforeEach(() => {
+      now = 0;
+      sinon.stub(performance, 'now').callsFake(() => now);
+      window.hlx = { codeBasePath: '' };
+      // jsdom has no modal dialogs
+      dialog.showModal = function showModal() {};
+      dialog.close = function close() { this.dispatchEvent(new Event('close')); };
+    });
+
+    afterEach(() => {
+      stopFXT();
+      sinon.restore();
+      delete dialog.showModal;
+      delete dialog.close;
+    });
+
+    it('reports expanded and collapsed panels with the time each was open', async () => {
+      const form = renderForm(`
+        <fieldset class="panel-wrapper field-wrapper" data-id="faq-1" name="faq">
+          <fieldset class="panel-wrapper field-wrapper" data-id="shipping-1" name="shipping"><legend>Shipping</legend></fieldset>
+          <fieldset class="panel-wrapper field-wrapper" data-id="returns-1" name="returns"><legend>Returns</legend></fieldset>
+          <fieldset class="panel-wrapper field-wrapper" data-id="warranty-1" name="warranty"><legend>Warranty</legend></fieldset>
+        </fieldset>`);
+      decorateAccordion(form.querySelector('fieldset'));
+      startFXT();
+      await nextTick();
+      const legends = form.querySelectorAll('legend');
+
+      now = 2000;
+      legends[1].click();
+      now = 5000;
+      legends[1].click();
+      assert.deepEqual(FXT._events.filter((e) => e.type.startsWith('panel-')).map((e) => [e.type, e.field, e.timeOpenMs]), [
+        ['panel-collapse', 'faq.shipping', 2000],
+        ['panel-expand', 'faq.returns', undefined],
+        ['panel-collapse', 'faq.returns', 3000],
+      ]);
+
+      clock.tick(30000); // periodic field-analytics snapshot
+      const [{ accordionPanels }] = eventsOfType('field-analytics');
+      assert.deepEqual(accordionPanels.map((p) => [p.field, p.open, p.expands, p.timeOpenMs]), [
+        ['faq.shipping', false, 0, 2000],
+        ['faq.returns', false, 1, 3000],
+      ]);
+    });
+
+    it('leaves panels nobody touched out of the snapshot', async () => {
+      const form = renderForm(`
+        <div class="text-wrapper field-wrapper" data-id="name-1"><input type="text" id="name-1" name="name"></div>
+        <fieldset class="panel-wrapper field-wrapper" data-id="faq-1" name="faq">
+          <fieldset class="panel-wrapper field-wrapper" data-id="shipping-1" name="shipping"><legend>Shipping</legend></fieldset>
+        </fieldset>
+        <div class="repeat-wrapper">
+          <fieldset class="panel-wrapper field-wrapper" data-id="traveller-1" name="travellers" data-repeatable="true" data-index="0"></fieldset>
+        </div>`);
+      decorateAccordion(form.querySelector('fieldset'));
+      startFXT();
+      await nextTick();
+      form.querySelector('input').dispatchEvent(new Event('focus'));
+
+      clock.tick(30000); // periodic field-analytics snapshot
+      const [{ accordionPanels, repeatablePanels }] = eventsOfType('field-analytics');
+      assert.deepEqual([accordionPanels, repeatablePanels], [[], []]);
+      assert.deepEqual([FXT._forms[0].accordionTabs, FXT._forms[0].repeatPanels], [[], []]);
+    });
+
+    it('reports how a modal was dismissed and how long it was open', async () => {
+      const form = renderForm('<fieldset class="panel-wrapper field-wrapper" data-id="help-1" name="help"><p>Help</p></fieldset>');
+      const modal = new Modal();
+      modal.decorate(form.querySelector('fieldset'));
+      startFXT();
+      await nextTick();
+
+      now = 1000;
+      modal.showModal();
+      now = 4000;
+      modal.dialog.querySelector('.close-button').click();
+      now = 5000;
+      modal.showModal();
+      now = 5500;
+      modal.dialog.dispatchEvent(new Event('cancel'));
+      modal.dialog.close();
+      now = 6000;
+      modal.showModal();
+      now = 6200;
+      modal.dialog.dispatchEvent(new window.MouseEvent('click', { clientX: -10, clientY: -10 }));
+
+      assert.equal(eventsOfType('modal-open').length, 3);
+      assert.deepEqual(eventsOfType('modal-dismiss').map((e) => [e.field, e.method, e.timeOpenMs]), [
+        ['help', 'close-button', 3000],
+        ['help', 'escape', 500],
+        ['help', 'backdrop', 200],
+      ]);
+      assert.equal(form.querySelector('p').parentElement.dataset.id, 'help-1');
+    });
+  });
+
+  describe('repeatable panels', () => {
+    afterEach(() => stopFXT());
+
+    it('reports added and removed instances, limit hits and filled instances removed', async () => {
+      const form = renderForm(`
+        <fieldset class="panel-wrapper field-wrapper" data-id="travellers-1" name="travellers"
+          data-repeatable="true" data-index="0" data-min="1" data-max="3">
+          <legend class="field-label">Traveller</legend>
+          <div class="text-wrapper field-wrapper" data-id="name-1"><input type="text" id="name-1" name="name"></div>
+          <div class="number-input-wrapper field-wrapper" data-id="age-1"><input type="number" id="age-1" name="age"></div>
+        </fieldset>`);
+      form.dataset.source = 'sheet';
+      transferRepeatableDOM(form);
+      startFXT();
+      await nextTick();
+      const add = form.querySelector('.item-add');
+      const instances = () => form.querySelectorAll('[data-repeatable="true"]');
+
+      add.click();
+      add.click();
+      const third = instances()[2].querySelector('[name="name"]');
+      third.dispatchEvent(new Event('focus'));
+      third.value = 'Jane';
+      instances()[2].querySelector('.item-remove').click();
+      instances()[1].querySelector('.item-remove').click();
+
+      assert.deepEqual(FXT._events.filter((e) => e.type.startsWith('instance-')).map((e) => [
+        e.type, e.field, e.instanceCount, e.removedIndex, e.partiallyFilled,
+      ]), [
+        ['instance-added', 'travellers', 2, undefined, undefined],
+        ['instance-added', 'travellers', 3, undefined, undefined],
+        ['instance-removed', 'travellers', 2, 2, true],
+        ['instance-removed', 'travellers', 1, 1, false],
+      ]);
+      assert.deepEqual(eventsOfType('repeat-limit').map((e) => [e.limit, e.minOccur, e.maxOccur]), [
+        ['max', 1, 3],
+        ['min', 1, 3],
+      ]);
+
+      clock.tick(30000); // periodic field-analytics snapshot
+      const [{ repeatablePanels: [panel] }] = eventsOfType('field-analytics');
+      assert.equal(panel.instanceCount, 1);
+      assert.equal(panel.partialRemovals, 1);
+      assert.deepEqual(panel.limitHits, { min: 1, max: 1 });
+      assert.equal(panel.totals.focusCount, 1);
+      assert.deepEqual(panel.instancesTouched, [2]);
+    });
+  });
+
+  describe('file uploads', () => {
+    afterEach(() => stopFXT());
+
+    it('reports how files were chosen, their size and type and the rejecting constraint', async () => {
+      const form = renderForm(`
+        <div class="file-wrapper field-wrapper" data-id="docs-1">
+          <input type="file" id="docs-1" name="docs" multiple accept="application/pdf,image/*" data-max-file-size="1MB">
+        </div>`);
+      const fieldDiv = form.querySelector('.field-wrapper');
+      await decorateFile(fieldDiv, {});
+      startFXT();
+      await nextTick();
+      const input = form.querySelector('input');
+      const claim = new window.File(['x'.repeat(200 * 1024)], 'claim-jane-doe.pdf', { type: 'application/pdf' });
+      const photo = new window.File(['x'.repeat(2 * 1024 * 1024)], 'IMG_0042.jpg', { type: 'image/jpeg' });
+
+      Object.defineProperty(input, 'files', { value: [claim], configurable: true });
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+      const drop = new Event('drop', { bubbles: true });
+      drop.dataTransfer = { files: [photo] };
+      form.querySelector('.file-drag-area').dispatchEvent(drop);
+      form.querySelector('.file-description[data-index="1"] .file-description-remove').click();
+
+      assert.deepEqual(eventsOfType('file-selected').map((e) => [e.source, e.files, e.constraint]), [
+        ['picker', [{ sizeBucket: '100KB-1MB', mimeFamily: 'pdf' }], null],
+        ['drop', [{ sizeBucket: '1-5MB', mimeFamily: 'image' }], 'maxFileSize'],
+      ]);
+      const [removed] = eventsOfType('file-removed');
+      assert.equal(removed.field, 'docs');
+      assert.equal(removed.fileCount, 1);
+      assert.equal(removed.constraint, null);
+      assert.deepEqual(removed.files, [{ sizeBucket: '1-5MB', mimeFamily: 'image' }]);
+      const { fileSelections, fileRejections, fileRemovals } = FXT._fieldMetrics.form.docs;
+      assert.deepEqual([fileSelections, fileRejections, fileRemovals], [2, 1, 1]);
+      assert.ok(!/claim-jane-doe|IMG_0042|fakepath/.test(JSON.stringify(FXT._events)));
+    });
+  });
+
+  describe('form reset', () => {
+    afterEach(() => stopFXT());
+
+    it('moves to the rebuilt form with a pre-reset snapshot and a new attempt', async () => {
+      const form = renderForm('<input type="text" name="city">');
+      form.dataset.id = 'contact';
+      startFXT();
+      await nextTick();
+      form.querySelector('input').dispatchEvent(new Event('focus'));
+      form.dispatchEvent(new CustomEvent('submit:attempt', { detail: {} }));
+
+      // what the form block's reset handler does
+      const rebuilt = document.createElement('form');
+      rebuilt.dataset.id = 'contact';
+      rebuilt.innerHTML = '<input type="text" name="city">';
+      form.replaceWith(rebuilt);
+      rebuilt.dispatchEvent(new CustomEvent('form:replaced', { detail: { previous: form }, bubbles: true }));
+      await nextTick();
+      form.querySelector('input').dispatchEvent(new Event('focus'));
+      rebuilt.querySelector('input').dispatchEvent(new Event('focus'));
+      rebuilt.dispatchEvent(new CustomEvent('submit:attempt', { detail: {} }));
+
+      const [reset] = eventsOfType('form-reset');
+      assert.deepEqual([reset.formId, reset.formAttempt, reset.nextAttempt], ['contact', 1, 2]);
+      assert.equal(reset.snapshot.submitAttempts, 1);
+      assert.deepEqual(reset.snapshot.allFieldMetrics.map((m) => [m.field, m.focusCount]), [['city', 1]]);
+      assert.equal(FXT._forms.length, 1);
+      assert.equal(FXT._forms[0].form, rebuilt);
+      assert.equal(eventsOfType('form-discovered').length, 1);
+      assert.equal(eventsOfType('focus').length, 2);
+      assert.equal(FXT._fieldMetrics.contact.city.focusCount, 1);
+      const attempts = eventsOfType('submit-attempt').map((e) => [e.formAttempt, e.attempt]);
+      assert.deepEqual(attempts, [[1, 1], [2, 1]]);
+    });
+
+    it('keeps the rebuilt form instrumented through a reset while analytics is denied', async () => {
+      const form = renderForm('<input type="text" name="city">');
+      form.dataset.id = 'contact';
+      startFXT();
+      await nextTick();
+      FXT.setConsent({ analytics: false });
+
+      const rebuilt = document.createElement('form');
+      rebuilt.dataset.id = 'contact';
+      rebuilt.innerHTML = '<input type="text" name="city">';
+      form.replaceWith(rebuilt);
+      rebuilt.dispatchEvent(new CustomEvent('form:replaced', { detail: { previous: form }, bubbles: true }));
+      FXT.setConsent({ analytics: true });
+      rebuilt.querySelector('input').dispatchEvent(new Event('focus'));
+
+      assert.equal(eventsOfType('form-reset').length, 0);
+      assert.equal(FXT._forms[0].form, rebuilt);
+      assert.equal(FXT._forms[0].formAttempt, 2);
+      assert.equal(FXT._fieldMetrics.contact.city.focusCount, 1);
+    });
+  });
+
+  describe('interaction timeline', () => {
+    afterEach(() => stopFXT());
+
+    it('sends the ordered path through the form in numbered chunks, without values', async () => {
+      const form = renderForm(`
+        <div class="text-wrapper field-wrapper" data-id="name-1"><input type="text" name="name" required></div>
+        <div class="email-wrapper field-wrapper" data-id="email-1"><input type="email" name="email"></div>`);
+      const [name, email] = form.querySelectorAll('input');
+      const sink = sinon.stub().returns(true);
+      startFXT({ captureTimeline: true, transports: [FXT.transports.callback(sink)] });
+      await nextTick();
+
+      name.dispatchEvent(new Event('focus'));
+      name.dispatchEvent(new Event('blur'));
+      name.dispatchEvent(new Event('invalid'));
+      form.dispatchEvent(new CustomEvent('submit:attempt', { detail: {} }));
+      form.dispatchEvent(new CustomEvent('submit:blocked', { detail: { invalidElements: [name] } }));
+      clock.tick(FXT._config.flushIntervalMs);
+      await nextTick();
+      email.value = 'jane@example.com';
+      email.dispatchEvent(new Event('focus'));
+      email.dispatchEvent(new Event('change'));
+      FXT.stepTransition(0, 1);
+      clock.tick(FXT._config.flushIntervalMs);
+      await nextTick();
+
+      const sent = sink.getCalls().flatMap((call) => call.args[0].events);
+      const timelines = sent.filter((e) => e.type === 'timeline');
+      const entries = timelines.flatMap((e) => e.entries);
+      assert.deepEqual(timelines.map((e) => [e.fromSeq, e.toSeq]), [[1, 5], [6, 8]]);
+      assert.deepEqual(entries.map((e) => e.seq), [1, 2, 3, 4, 5, 6, 7, 8]);
+      assert.deepEqual(entries.map((e) => [e.kind, e.field]), [
+        ['enter', 'name'], ['exit', 'name'], ['validation', 'name'], ['submit', undefined],
+        ['submit', undefined], ['enter', 'email'], ['validation', 'email'], ['step', undefined],
+      ]);
+      assert.deepEqual([entries[2].valid, entries[2].reason], [false, 'valueMissing']);
+      assert.deepEqual([entries[4].outcome, entries[4].invalidFields], ['blocked', ['name']]);
+      assert.equal(entries[6].valid, true);
+      assert.equal(FXT._session.timelineSeq, 8);
+      assert.ok(!JSON.stringify(entries).includes('jane@example.com'));
+    });
+
+    it('hands plugins each chunk once it is complete', async () => {
+      const form = renderForm('<input type="text" name="city">');
+      const seen = [];
+      FXT.use({
+        name: 'redact-exits',
+        beforeEnqueue: (evt) => {
+          if (evt.type !== 'timeline') return evt;
+          seen.push(evt.entries.length);
+          return { ...evt, entries: evt.entries.filter((e) => e.kind !== 'exit') };
+        },
+      });
+      startFXT({ captureTimeline: true, timelineChunkSize: 3 });
+      await nextTick();
+      const input = form.querySelector('input');
+      [1, 2].forEach(() => {
+        input.dispatchEvent(new Event('focus'));
+        input.dispatchEvent(new Event('blur'));
+      });
+
+      assert.deepEqual(seen, [3]);
+      const [chunk] = eventsOfType('timeline');
+      assert.deepEqual([chunk.fromSeq, chunk.toSeq], [1, 3]);
+      assert.deepEqual(chunk.entries.map((e) => e.kind), ['enter', 'enter']);
+      assert.equal(FXT._timelineEntries.length, 1);
+    });
+  });
+
+  describe('plugins', () => {
+    afterEach(() => stopFXT());
+
+    it('lets plugins enrich, drop and rewrite events and batches', async () => {
+      const sink = sinon.stub().returns(true);
+      const sessionEnds = [];
+      FXT.use({
+        name: 'experiment',
+        setup(api) { api.enqueue('experiment-exposure', { variant: 'b' }); },
+        beforeEnqueue(evt) {
+          if (evt.type === 'heartbeat') return null;
+          return { ...evt, variant: 'b', locale: 'de-DE' };
+        },
+        beforeFlush: (events) => events.filter((e) => e.type !== 'form-discovered'),
+        onSessionEnd: (reason) => sessionEnds.push(reason),
+      });
+      renderForm('<input type="text" name="city">');
+      startFXT({ transports: [FXT.transports.callback(sink)] });
+      await nextTick();
+      clock.tick(30000);
+      window.dispatchEvent(new Event('beforeunload'));
+
+      const events = sink.getCalls().flatMap((call) => call.args[0].events);
+      const types = events.map((e) => e.type);
+      assert.ok(types.includes('experiment-exposure'));
+      assert.ok(types.includes('session-start'));
+      assert.ok(!types.includes('heartbeat'));
+      assert.ok(!types.includes('form-discovered'));
+      assert.ok(events.every((e) => e.variant === 'b' && e.locale === 'de-DE'));
+      assert.deepEqual(sessionEnds, ['unload']);
+    });
+
+    it('keeps collecting when a plugin throws', async () => {
+      FXT.use({ name: 'broken-setup', setup() { throw new Error('setup'); }, beforeEnqueue: () => null });
+      FXT.use({ name: 'broken-hooks', beforeEnqueue() { throw new Error('enqueue'); } });
+      FXT.use({ name: 'tagger', beforeEnqueue: (evt) => ({ ...evt, channel: 'web' }) });
+      renderForm('<input type="text" name="city">');
+      startFXT();
+      await nextTick();
+      FXT.stepTransition(0, 1);
+
+      const [transition] = eventsOfType('step-transition');
+      assert.equal(transition.channel, 'web');
+      assert.deepEqual(FXT._activePlugins.map((p) => p.name).slice(-2), ['broken-hooks', 'tagger']);
+      assert.equal(FXT._pluginErrors['broken-setup'], 1);
+      assert.ok(FXT._pluginErrors['broken-hooks'] > 1);
+    });
+
+    it('toggles the built-in console, network and mutation capture', async () => {
+      const fetchStub = sinon.stub().resolves({ ok: true, status: 200 });
+      renderForm('<input type="text" name="city">');
+      startFXT({ plugins: { network: false, mutations: false } }, fetchStub);
+      await nextTick();
+
+      assert.equal(global.fetch, fetchStub);
+      assert.equal(console.error, originals.consoleError); // eslint-disable-line no-console
+      assert.equal(FXT._forms[0].observer, null);
+      assert.deepEqual(FXT._activePlugins.map((p) => p.name), []);
+    });
+  });
+
+  describe('teardown', () => {
+    let errorStub;
+
+    beforeEach(() => { errorStub = sinon.stub(console, 'error'); });
+
+    afterEach(() => {
+      stopFXT();
+      errorStub.restore();
+    });
+
+    it('restores globals, clears timers and removes listeners, so init can run again', async () => {
+      const form = renderForm('<input type="text" name="city">');
+      const input = form.querySelector('input');
+      const { open, send } = XMLHttpRequest.prototype;
+      const fetchStub = sinon.stub().resolves({ ok: true, status: 200 });
+      const sink = sinon.stub().returns(true);
+      const transports = [FXT.transports.callback(sink)];
+      startFXT({ enableConsoleWrap: true, transports }, fetchStub);
+      await nextTick();
+      assert.notEqual(console.error, errorStub); // eslint-disable-line no-console
+
+      FXT.stop();
+      FXT.stop();
+      const sent = sink.getCalls().flatMap((call) => call.args[0].events);
+      assert.equal(sent.filter((e) => e.type === 'session-end').length, 1);
+      assert.equal(console.error, errorStub); // eslint-disable-line no-console
+      assert.equal(global.fetch, fetchStub);
+      assert.equal(XMLHttpRequest.prototype.open, open);
+      assert.equal(XMLHttpRequest.prototype.send, send);
+      assert.equal(clock.countTimers(), 0);
+      input.dispatchEvent(new Event('focus'));
+      window.dispatchEvent(new Event('visibilitychange'));
+      assert.equal(FXT._events.length, 0);
+
+      FXT.init({ batchSize: 1000, enableConsoleWrap: true });
+      await nextTick();
+      console.error('boom'); // eslint-disable-line no-console
+      input.dispatchEvent(new Event('focus'));
+      assert.equal(eventsOfType('error').length, 1);
+      assert.equal(eventsOfType('focus').length, 1);
+      assert.equal(eventsOfType('form-discovered').length, 1);
+      assert.equal(errorStub.callCount, 1);
+    });
+
+    it('sends through the current fetch after stop and init without network capture', async () => {
+      const earlier = sinon.stub().resolves({ ok: true, status: 200 });
+      startFXT({}, earlier);
+      FXT.stop();
+      const replaced = sinon.stub().resolves({ ok: true, status: 200 });
+      global.fetch = replaced;
+
+      FXT.init({ batchSize: 1000, enableConsoleWrap: false, plugins: { network: false } });
+      clock.tick(FXT._config.flushIntervalMs);
+      await until(() => replaced.called);
+      assert.equal(replaced.callCount, 1);
+      assert.equal(earlier.callCount, 1);
+    });
+
+    it('sends nothing more once stopped with a batch in flight', async () => {
+      let deliver;
+      const sink = sinon.stub().returns(true);
+      sink.onFirstCall().returns(new Promise((resolve) => { deliver = resolve; }));
+      renderForm('<input type="text" name="city">');
+      startFXT({ batchSize: 1, transports: [FXT.transports.callback(sink)] });
+      await nextTick();
+      assert.equal(sink.callCount, 1);
+
+      FXT.stop();
+      assert.deepEqual([FXT._outbox.length, FXT._sending], [0, false]);
+      deliver(true);
+      await until(() => sink.callCount > 1);
+      assert.equal(sink.callCount, 1);
+    });
+  });
+
+  describe('performance', () => {
+    let observers;
+    let nativeObserver;
+
+    // records observers by entry type so tests can deliver entries to them
+    class FakePerformanceObserver {
+      constructor(callback) { this.callback = callback; }
+
+      observe({ type }) { observers[type] = this; }
+
+      deliver(entries) { this.callback({ getEntries: () => entries }); }
+
+      disconnect() { this.disconnected = true; }
+    }
+
+    beforeEach(() => {
+      observers = {};
+      nativeObserver = global.PerformanceObserver;
+      window.PerformanceObserver = FakePerformanceObserver;
+      global.PerformanceObserver = FakePerformanceObserver;
+    });
+
+    afterEach(() => {
+      stopFXT();
+      delete window.PerformanceObserver;
+      global.PerformanceObserver = nativeObserver;
+    });
+
+    it('reports form milestones, web vitals on the form and long tasks during rules', async () => {
+      const form = renderForm(`
+        <div class="text-wrapper field-wrapper" data-id="email-1"><input type="email" name="email"></div>`);
+      form.dataset.id = 'contact';
+      const outside = document.createElement('img');
+      document.body.append(outside);
+      const sink = sinon.stub().returns(true);
+      startFXT({ transports: [FXT.transports.callback(sink)] });
+      await nextTick();
+      const input = form.querySelector('input');
+      const timing = (name, startTime, duration = 0) => ({
+        name: `form:${name}`, startTime, duration, detail: { formId: 'contact' },
+      });
+
+      observers.measure.deliver([timing('fetch', 100, 250), timing('render', 350, 50),
+        timing('rules', 2000, 120)]);
+      observers.mark.deliver([timing('sync-complete', 600), timing('interactive', 620),
+        { name: 'app:ready', startTime: 10, duration: 0 }]);
+      observers['largest-contentful-paint'].deliver([{ startTime: 900, element: outside }]);
+      observers.event.deliver([
+        { interactionId: 1, duration: 48, target: input },
+        { interactionId: 1, duration: 180, target: input },
+        { interactionId: 2, duration: 64, target: input },
+        { interactionId: 3, duration: 400, target: outside },
+      ]);
+      observers['layout-shift'].deliver([
+        { startTime: 700, value: 0.05, sources: [{ node: input }] },
+        { startTime: 1200, value: 0.1, sources: [{ node: input }] },
+        { startTime: 800, value: 0.3, sources: [{ node: outside }] },
+        {
+          startTime: 3000, value: 0.5, hadRecentInput: true, sources: [{ node: input }],
+        },
+      ]);
+      observers.longtask.deliver([
+        { startTime: 2050, duration: 90 },
+        { startTime: 5000, duration: 60 },
+      ]);
+      window.dispatchEvent(new Event('beforeunload'));
+
+      const [report] = sink.firstCall.args[0].events.filter((e) => e.type === 'performance');
+      assert.equal(report.formId, 'contact');
+      assert.equal(report.reason, 'unload');
+      assert.deepEqual(
+        [report.fetchFormMs, report.fetchDurationMs, report.renderedMs, report.renderDurationMs],
+        [350, 250, 400, 50],
+      );
+      assert.deepEqual([report.syncCompleteMs, report.interactiveMs], [600, 620]);
+      assert.deepEqual([report.lcpMs, report.lcpInForm], [900, false]);
+      assert.deepEqual([report.inpMs, report.inpField, report.interactionCount], [180, 'email', 2]);
+      assert.equal(report.cls, 0.15);
+      assert.deepEqual(report.longTasks, {
+        count: 2, totalMs: 150, ruleCount: 1, ruleMs: 90,
+      });
+    });
+  });
+});
@@ -0,0 +1,408 @@
+/**
+ * Reference collector for FXT telemetry (scripts/fxt-telemetry.js)
+ *
+ * Receives batches on POST /api/fxt/events (fetch, gzip and sendBeacon bodies),
+ * validates them, drops retried batches by `batchId` and appends the events to
+ * an NDJSON file or a SQLite database. Query endpoints for tests and dashboards:
+ *
+ *   GET /api/fxt/sessions              sessions with page, event and submit counts
+ *   GET /api/fxt/sessions/:sessionId   events of one session, in order
+ *   GET /api/fxt/sessions/:sessionId/timeline   interaction timeline, ordered by seq
+ *   GET /api/fxt/fields?formId=        field metrics across sessions
+ *   GET /api/fxt/pain-points?formId=   fields flagged as pain points, most frequent first
+ *
+ * Usage: node tools/fxt-collector.js [--port 3000] [--store ndjson|sqlite] [--file path]
+ */
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { decodeBody, FxtDecodeError } from './fxt-decoder.js';
+import { logger } from './utils.js';
+
+const EVENTS_PATH = '/api/fxt/events';
+const MAX_EVENTS_PER_BATCH = 1000;
+const FIELD_METRIC_KEYS = [
+  'focusCount', 'totalTimeSpentMs', 'activeTimeMs', 'idleTimeMs', 'editCount', 'validationFailures',
+  'ruleValidationFailures', 'backspaceCount', 'pasteCount', 'clearCount', 'submitBlocks', 'stepBlocks', 'frictionScore',
+  'fileSelections', 'fileRejections', 'fileRemovals', 'rageClicks', 'deadClicks', 'focusThrash',
+];
+
+/**
+ * Validates a decoded payload against the FXT envelope schema
+ * @param {Object} payload - Canonical payload (see fxt-decoder.js)
+ * @returns {string[]} - Validation errors, empty when valid
+ */
+export function validatePayload(payload) {
+  const errors = [];
+  if (typeof payload.sessionId !== 'string' || !payload.sessionId) {
+    errors.push('sessionId must be a non-empty string');
+  }
+  // batchId became part of the envelope with schemaVersion 1
+  if (payload.schemaVersion >= 1 && typeof payload.batchId !== 'string') {
+    errors.push('batchId must be a string');
+  }
+  const present = (key) => payload[key] !== undefined && payload[key] !== null;
+  ['batchId', 'sdkVersion'].forEach((key) => {
+    if (present(key) && typeof payload[key] !== 'string') errors.push(`${key} must be a string`);
+  });
+  ['pageSeq', 'startedAt', 'attempt'].forEach((key) => {
+    if (present(key) && typeof payload[key] !== 'number') errors.push(`${key} must be a number`);
+  });
+  if (!Array.isArray(payload.events)) {
+    errors.push('events must be an array');
+    return errors;
+  }
+  if (payload.events.length > MAX_EVENTS_PER_BATCH) {
+    errors.push(`events must not exceed ${MAX_EVENTS_PER_BATCH} entries`);
+  }
+  payload.events.forEach((event, i) => {
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+      errors.push(`events[${i}] must be an object`);
+    } else {
+      if (typeof event.type !== 'string' || !event.type) errors.push(`events[${i}].type must be a non-empty string`);
+      if (typeof event.t !== 'number') errors.push(`events[${i}].t must be a number`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Append-only NDJSON store: one line per event, batch receipts kept in memory
+ * @param {string} file - Path of the NDJSON file, created when missing
+ * @returns {Object} - Store with append, hasBatch, events and close
+ */
+export function createNdjsonStore(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const records = fs.existsSync(file)
+    ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map((line) => JSON.parse(line))
+    : [];
+  const batches = new Set(records.map((r) => r.batchId).filter(Boolean));
+  return {
+    hasBatch: (batchId) => batches.has(batchId),
+    append(batchId, rows) {
+      if (batchId) batches.add(batchId);
+      if (!rows.length) return;
+      fs.appendFileSync(file, `${rows.map((r) => JSON.stringify(r)).join('\n')}\n`);
+      records.push(...rows);
+    },
+    events: () => records,
+    close() {},
+  };
+}
+
+/**
+ * SQLite store (node:sqlite, Node.js 22.5 or later)
+ * @param {string} file - Path of the database file
+ * @returns {Promise<Object>} - Store with append, hasBatch, events and close
+ */
+export async function createSqliteStore(file) {
+  let sqlite;
+  try {
+    // eslint-disable-next-line import/no-unresolved -- built in from Node.js 22.5
+    sqlite = await import('node:sqlite');
+  } catch (e) {
+    throw new Error(`SQLite storage needs node:sqlite (Node.js 22.5+), running ${process.version}`);
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new sqlite.DatabaseSync(file);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS batches (batch_id TEXT PRIMARY KEY, received_at INTEGER);
+    CREATE TABLE IF NOT EXISTS events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT, batch_id TEXT, type TEXT, received_at INTEGER, record TEXT
+    );
+    CREATE INDEX IF NOT EXISTS events_session ON events (session_id);
+  `);
+  const insertBatch = db.prepare('INSERT OR IGNORE INTO batches (batch_id, received_at) VALUES (?, ?)');
+  const insertEvent = db.prepare(
+    'INSERT INTO events (session_id, batch_id, type, received_at, record) VALUES (?, ?, ?, ?, ?)',
+  );
+  const findBatch = db.prepare('SELECT 1 FROM batches WHERE batch_id = ?');
+  const allEvents = db.prepare('SELECT record FROM events ORDER BY id');
+  return {
+    hasBatch: (batchId) => !!findBatch.get(batchId),
+    append(batchId, rows) {
+      db.exec('BEGIN');
+      try {
+        if (batchId) insertBatch.run(batchId, Date.now());
+        rows.forEach((r) => {
+          insertEvent.run(r.sessionId, r.batchId, r.type, r.receivedAt, JSON.stringify(r));
+        });
+        db.exec('COMMIT');
+      } catch (e) {
+        db.exec('ROLLBACK');
+        throw e;
+      }
+    },
+    events: () => allEvents.all().map((row) => JSON.parse(row.record)),
+    close: () => db.close(),
+  };
+}
+
+function sessionsOf(events) {
+  const sessions = new Map();
+  events.forEach((e) => {
+    if (!sessions.has(e.sessionId)) {
+      sessions.set(e.sessionId, {
+        sessionId: e.sessionId,
+        firstReceivedAt: e.receivedAt,
+        lastReceivedAt: e.receivedAt,
+        pages: 0,
+        eventCount: 0,
+        forms: [],
+        submitAttempts: 0,
+        submitted: false,
+        // sampled-out sessions only send minimal conversion events (sampled: false)
+        sampled: true,
+        sampleRate: null,
+      });
+    }
+    const session = sessions.get(e.sessionId);
+    session.lastReceivedAt = Math.max(session.lastReceivedAt, e.receivedAt);
+    session.pages = Math.max(session.pages, e.pageSeq || 1);
+    session.eventCount += 1;
+    if (e.formId && !session.forms.includes(e.formId)) session.forms.push(e.formId);
+    if (e.type === 'submit-attempt') session.submitAttempts += 1;
+    if (e.type === 'submit-success') session.submitted = true;
+    if (e.sampled === false) session.sampled = false;
+    if (typeof e.sampleRate === 'number') session.sampleRate = e.sampleRate;
+  });
+  return [...sessions.values()].sort((a, b) => b.lastReceivedAt - a.lastReceivedAt);
+}
+
+// field-analytics snapshots are cumulative per form attempt; only the latest per session,
+// form and attempt counts. A reset closes an attempt with its snapshot in form-reset
+function latestAnalytics(events, formId) {
+  const latest = new Map();
+  events.forEach((e) => {
+    if (formId && e.formId !== formId) return;
+    let snapshot;
+    if (e.type === 'field-analytics') {
+      snapshot = e;
+    } else if (e.type === 'form-reset' && e.snapshot) {
+      snapshot = {
+        ...e.snapshot, sessionId: e.sessionId, formId: e.formId, formAttempt: e.formAttempt,
+      };
+    } else {
+      return;
+    }
+    latest.set(`${snapshot.sessionId}|${snapshot.formId}|${snapshot.formAttempt || 1}`, snapshot);
+  });
+  return [...latest.values()];
+}
+
+// a session can hold several attempts of a form (resets); sessions are counted once
+function countSession(seen, key, sessionId) {
+  if (!seen.has(key)) seen.set(key, new Set());
+  seen.get(key).add(sessionId);
+  return seen.get(key).size;
+}
+
+function fieldMetricsOf(events, formId) {
+  const fields = new Map();
+  const seen = new Map();
+  latestAnalytics(events, formId).forEach((snapshot) => {
+    (snapshot.allFieldMetrics || []).forEach((m) => {
+      const key = `${snapshot.formId}|${m.field}`;
+      if (!fields.has(key)) {
+        const totals = Object.fromEntries(FIELD_METRIC_KEYS.map((k) => [k, 0]));
+        fields.set(key, {
+          formId: snapshot.formId,
+          field: m.field,
+          fieldType: m.fieldType,
+          sessions: 0,
+          attempts: 0,
+          totals,
+        });
+      }
+      const field = fields.get(key);
+      field.sessions = countSession(seen, key, snapshot.sessionId);
+      field.attempts += 1;
+      FIELD_METRIC_KEYS.forEach((k) => { field.totals[k] += m[k] || 0; });
+    });
+  });
+  return [...fields.values()].map((field) => ({
+    ...field,
+    averages: Object.fromEntries(
+      FIELD_METRIC_KEYS.map((k) => [k, field.totals[k] / field.sessions]),
+    ),
+  }));
+}
+
+function painPointsOf(events, formId) {
+  const fields = new Map();
+  const seen = new Map();
+  latestAnalytics(events, formId).forEach((snapshot) => {
+    (snapshot.painPoints || []).forEach((p) => {
+      const key = `${snapshot.formId}|${p.field}`;
+      if (!fields.has(key)) {
+        fields.set(key, {
+          formId: snapshot.formId, field: p.field, sessions: 0, reasons: {},
+        });
+      }
+      const field = fields.get(key);
+      field.sessions = countSession(seen, key, snapshot.sessionId);
+      Object.entries(p.reasons || {}).forEach(([reason, fired]) => {
+        if (fired) field.reasons[reason] = (field.reasons[reason] || 0) + 1;
+      });
+    });
+  });
+  return [...fields.values()].sort((a, b) => b.sessions - a.sessions);
+}
+
+// timeline chunks can arrive out of order or twice (beacons, replays). Tabs sharing a
+// session (sessionStore: 'local') count seq from the same stored value, so an entry is
+// identified by its page and seq
+function timelineOf(events) {
+  const entries = new Map();
+  events.forEach((e) => {
+    if (e.type !== 'timeline') return;
+    (e.entries || []).forEach((entry) => {
+      entries.set(`${e.pageSeq}:${entry.seq}`, { ...entry, pageSeq: e.pageSeq });
+    });
+  });
+  return [...entries.values()].sort((a, b) => a.seq - b.seq || a.pageSeq - b.pageSeq);
+}
+
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(new FxtDecodeError(`Body exceeds ${maxBytes} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Creates the collector HTTP server (not yet listening)
+ * @param {Object} options - Collector options
+ * @param {Object} options.store - Store from createNdjsonStore or createSqliteStore
+ * @param {string} [options.allowOrigin='*'] - Access-Control-Allow-Origin for form pages
+ * @param {number} [options.maxBodyBytes=1048576] - Largest accepted request body
+ * @returns {http.Server} - Server; call listen() to start it
+ */
+export function createCollector({ store, allowOrigin = '*', maxBodyBytes = 1024 * 1024 }) {
+  async function receive(req, res) {
+    let payload;
+    try {
+      // sendBeacon Blobs arrive as application/json or text/plain; fetch bodies may be gzipped
+      const body = await readBody(req, maxBodyBytes);
+      payload = decodeBody(body, req.headers['content-encoding']);
+    } catch (e) {
+      if (!(e instanceof FxtDecodeError)) throw e;
+      send(res, e.message.startsWith('Body exceeds') ? 413 : 400, { errors: [e.message] });
+      return;
+    }
+    const errors = validatePayload(payload);
+    if (errors.length) {
+      send(res, 400, { errors });
+      return;
+    }
+    // retries and replays reuse the batchId; acknowledge them without storing again
+    if (payload.batchId && store.hasBatch(payload.batchId)) {
+      send(res, 200, { accepted: 0, duplicate: true });
+      return;
+    }
+    const { events, ...envelope } = payload;
+    const receivedAt = Date.now();
+    store.append(payload.batchId, events.map((event) => ({
+      ...event,
+      sessionId: envelope.sessionId,
+      batchId: envelope.batchId || null,
+      pageSeq: envelope.pageSeq ?? null,
+      schemaVersion: envelope.schemaVersion,
+      sdkVersion: envelope.sdkVersion || null,
+      receivedAt,
+    })));
+    send(res, 202, { accepted: events.length, duplicate: false });
+  }
+
+  function query(url, res) {
+    const formId = url.searchParams.get('formId');
+    const sessionMatch = url.pathname.match(/^\/api\/fxt\/sessions\/([^/]+)(\/timeline)?$/);
+    if (url.pathname === '/api/fxt/sessions') {
+      send(res, 200, sessionsOf(store.events()));
+    } else if (sessionMatch) {
+      const sessionId = decodeURIComponent(sessionMatch[1]);
+      const events = store.events().filter((e) => e.sessionId === sessionId);
+      if (!events.length) send(res, 404, { errors: ['Unknown session'] });
+      else if (sessionMatch[2]) send(res, 200, { sessionId, entries: timelineOf(events) });
+      else send(res, 200, { sessionId, events });
+    } else if (url.pathname === '/api/fxt/fields') {
+      send(res, 200, fieldMetricsOf(store.events(), formId));
+    } else if (url.pathname === '/api/fxt/pain-points') {
+      send(res, 200, painPointsOf(store.events(), formId));
+    } else {
+      send(res, 404, { errors: ['Not found'] });
+    }
+  }
+
+  return http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', allowOrigin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Content-Encoding');
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method === 'OPTIONS') {
+      send(res, 204);
+    } else if (req.method === 'POST' && url.pathname === EVENTS_PATH) {
+      receive(req, res).catch((e) => {
+        logger.error(`FXT collector: ${e.message}`);
+        send(res, 500, { errors: ['Internal error'] });
+      });
+    } else if (req.method === 'GET') {
+      query(url, res);
+    } else {
+      send(res, 405, { errors: ['Method not allowed'] });
+    }
+  });
+}
+
+function parseArgs(argv) {
+  const args = { port: 3000, store: 'ndjson', file: null };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (key in args) args[key] = argv[i + 1];
+  }
+  args.port = Number(args.port);
+  args.file = args.file || path.join('.fxt', args.store === 'sqlite' ? 'events.db' : 'events.ndjson');
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const store = args.store === 'sqlite'
+    ? await createSqliteStore(args.file)
+    : createNdjsonStore(args.file);
+  const server = createCollector({ store });
+  server.listen(args.port, () => {
+    const url = `http://localhost:${args.port}${EVENTS_PATH}`;
+    logger.success(`FXT collector listening on ${url} (${args.store}: ${args.file})`);
+  });
+  process.on('SIGINT', () => {
+    server.close();
+    store.close();
+    process.exit(0);
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((e) => {
+    logger.error(e.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,103 @@
+/**
+ * Decoder for FXT telemetry payloads (scripts/fxt-telemetry.js)
+ *
+ * Expands request bodies sent by the SDK back to canonical events:
+ * gzip bodies (`Content-Encoding: gzip`) are inflated and compact,
+ * dictionary-coded batches are expanded to plain event objects.
+ */
+import { gunzipSync } from 'zlib';
+
+/**
+ * Envelope versions this decoder understands. Payloads without a
+ * `schemaVersion` predate the envelope and are treated as version 0.
+ */
+export const SUPPORTED_SCHEMA_VERSIONS = [0, 1];
+
+/**
+ * Error for payloads the decoder cannot expand
+ */
+export class FxtDecodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FxtDecodeError';
+  }
+}
+
+function expandCompactEvents(payload) {
+  const {
+    keys, dict, coded, events,
+  } = payload;
+  if (!Array.isArray(keys) || !Array.isArray(dict) || !Array.isArray(events)) {
+    throw new FxtDecodeError('Compact payload is missing keys, dict or events');
+  }
+  const codedKeys = new Set(coded || []);
+  return events.map((row) => {
+    const event = {};
+    for (let i = 0; i < row.length; i += 2) {
+      const keyIndex = row[i];
+      const value = row[i + 1];
+      if (keys[keyIndex] === undefined) {
+        throw new FxtDecodeError(`Unknown key index ${keyIndex}`);
+      }
+      event[keys[keyIndex]] = codedKeys.has(keyIndex) ? dict[value] : value;
+    }
+    return event;
+  });
+}
+
+/**
+ * Expands a parsed payload to its canonical form
+ * @param {Object} payload - Parsed request body
+ * @returns {Object} - Envelope with `encoding: 'json'` and plain event objects
+ */
+export function decodePayload(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new FxtDecodeError('Payload must be an object');
+  }
+  const schemaVersion = payload.schemaVersion ?? 0;
+  if (!SUPPORTED_SCHEMA_VERSIONS.includes(schemaVersion)) {
+    throw new FxtDecodeError(`Unsupported schemaVersion ${schemaVersion}`);
+  }
+  const encoding = payload.encoding || 'json';
+  if (encoding === 'json') {
+    return { ...payload, schemaVersion, encoding };
+  }
+  if (encoding !== 'compact') {
+    throw new FxtDecodeError(`Unknown encoding ${encoding}`);
+  }
+  const {
+    keys, dict, coded, ...envelope
+  } = payload;
+  return {
+    ...envelope,
+    schemaVersion,
+    encoding: 'json',
+    events: expandCompactEvents(payload),
+  };
+}
+
+/**
+ * Decodes a raw request body
+ * @param {Buffer|Uint8Array|ArrayBuffer|string} body - Request body as received
+ * @param {string} [contentEncoding] - Value of the Content-Encoding header
+ * @returns {Object} - Canonical payload, see decodePayload
+ */
+export function decodeBody(body, contentEncoding) {
+  let bytes = Buffer.from(body);
+  // gzip magic bytes: some proxies drop Content-Encoding
+  const gzipped = contentEncoding === 'gzip' || (bytes[0] === 0x1f && bytes[1] === 0x8b);
+  if (gzipped) {
+    try {
+      bytes = gunzipSync(bytes);
+    } catch (e) {
+      throw new FxtDecodeError(`Invalid gzip body: ${e.message}`);
+    }
+  }
+  let payload;
+  try {
+    payload = JSON.parse(bytes.toString('utf8'));
+  } catch (e) {
+    throw new FxtDecodeError(`Invalid JSON body: ${e.message}`);
+  }
+  return decodePayload(payload);
+}